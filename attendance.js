@@ -0,0 +1,102 @@
+// attendance.js
+// Session attendance for hired tutors. The tutor logs every class; the
+// student confirms or disputes it:
+//
+//   pending   - logged, waiting for the student (confirmed automatically
+//               after SESSION_CONFIRM_DAYS)
+//   confirmed - the class happened
+//   disputed  - the student says it didn't (or not as logged)
+//
+// Summaries compare the sessions held with the sessions the weekly schedule
+// called for. They decide monthly billing disputes: the suggested refund is
+// the invoice's share of classes that were missed.
+import { roundMoney } from "./ledger.js";
+import { DAY_KEYS } from "./schedule.js";
+
+export const SESSION_STATUSES = ["pending", "confirmed", "disputed"];
+
+export const SESSION_CONFIRM_DAYS =
+  Number(process.env.SESSION_CONFIRM_DAYS) || 3;
+
+// Allowed length of one session, in minutes
+export const SESSION_MIN_MINUTES = 15;
+export const SESSION_MAX_MINUTES = 8 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// getUTCDay() order (Sunday first) -> slot day keys
+const WEEKDAY_KEYS = [...DAY_KEYS.slice(1, 7), DAY_KEYS[0]];
+
+// "2026-03-14" -> that day at 00:00 UTC, or null
+export function parseSessionDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ""))) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  // Rejects days that roll over, e.g. 2026-02-30
+  return !isNaN(date) && date.toISOString().startsWith(value) ? date : null;
+}
+
+// "2026-03" -> { from, to } covering that calendar month, or null
+export function monthRange(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(month || ""));
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+  const from = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+  const to = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+  return { from, to };
+}
+
+// Classes the weekly slots call for between `from` (inclusive) and `to`
+export function countScheduledSessions(slots = [], from, to) {
+  if (slots.length === 0) return 0;
+
+  let count = 0;
+  for (let day = from.getTime(); day < to.getTime(); day += DAY_MS) {
+    const key = WEEKDAY_KEYS[new Date(day).getUTCDay()];
+    count += slots.filter((slot) => slot.day === key).length;
+  }
+  return count;
+}
+
+// Sessions a tutor may log for one day: one per weekly slot on that
+// weekday, and always at least one (a make-up class or no fixed schedule)
+export function sessionsAllowedOn(slots = [], date) {
+  const key = WEEKDAY_KEYS[date.getUTCDay()];
+  return Math.max(1, slots.filter((slot) => slot.day === key).length);
+}
+
+/**
+ * Attendance for one period. `scheduled` is what the weekly schedule called
+ * for; without a schedule every logged session is taken as expected.
+ * Pending sessions count as held - the student hasn't disputed them.
+ */
+export function summariseAttendance(sessions, { scheduled = 0 } = {}) {
+  const summary = {
+    scheduled,
+    logged: sessions.length,
+    confirmed: 0,
+    pending: 0,
+    disputed: 0,
+    minutesHeld: 0,
+  };
+
+  for (const session of sessions) {
+    summary[session.status]++;
+    if (session.status !== "disputed") {
+      summary.minutesHeld += session.durationMinutes;
+    }
+  }
+
+  summary.held = summary.confirmed + summary.pending;
+  summary.expected = scheduled || summary.logged;
+  summary.missed = Math.max(0, summary.expected - summary.held);
+  summary.attendanceRate =
+    summary.expected > 0
+      ? Math.min(1, Math.round((summary.held / summary.expected) * 100) / 100)
+      : 1;
+  return summary;
+}
+
+// Refund for an invoice: its share of the missed classes
+export function suggestedRefund(amount, summary) {
+  if (summary.expected === 0) return 0;
+  return roundMoney((amount * summary.missed) / summary.expected);
+}
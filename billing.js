@@ -0,0 +1,115 @@
+// billing.js
+// Monthly billing for ongoing tuitions: payment gateways + invoice schedule.
+//
+// The hire payment covers the first month. From then on each hired
+// application gets one invoice per month, due INVOICE_DUE_DAYS after the
+// period starts:
+//
+//   open    - waiting for the student to pay
+//   overdue - past its due date and still unpaid
+//   paid    - settled; the payment is recorded in `payments`
+//   void    - no longer owed (e.g. the tutor was cancelled)
+//
+// BILLING_GATEWAY picks how invoices are collected:
+//   stripe - a Stripe payment intent per invoice (default)
+
+export const INVOICE_STATUSES = ["open", "overdue", "paid", "void"];
+
+// Invoices the student still has to pay
+export const PAYABLE_INVOICE_STATUSES = ["open", "overdue"];
+
+export const INVOICE_DUE_DAYS = Number(process.env.INVOICE_DUE_DAYS) || 7;
+
+// How long before the due date the "due soon" reminder goes out
+export const INVOICE_REMINDER_DAYS =
+  Number(process.env.INVOICE_REMINDER_DAYS) || 3;
+
+// ---------------- Schedule ----------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same day next month(s), clamped to the month's last day (Jan 31 -> Feb 28)
+export function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+export function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+// Billing period starting at `periodStart`, with its due date
+export function billingPeriod(periodStart) {
+  return {
+    periodStart: new Date(periodStart),
+    periodEnd: addMonths(periodStart, 1),
+    dueDate: addDays(periodStart, INVOICE_DUE_DAYS),
+  };
+}
+
+// ---------------- Gateways ----------------
+//
+// Every gateway exposes:
+//   createPayment(invoice, { idempotencyKey }) -> GatewayPayment
+//   retrievePayment(id)                        -> GatewayPayment
+//
+// GatewayPayment = { id, status, amount, currency, metadata, clientSecret }
+// where status is "pending", "succeeded" or "cancelled" and amount is in
+// major units (taka, not poisha).
+
+// Normalise a Stripe payment intent (also used for webhook payloads)
+export function fromStripePaymentIntent(intent) {
+  let status = "pending";
+  if (intent.status === "succeeded") status = "succeeded";
+  if (intent.status === "canceled") status = "cancelled";
+
+  return {
+    id: intent.id,
+    status,
+    amount: intent.amount / 100,
+    currency: intent.currency,
+    metadata: intent.metadata || {},
+    clientSecret: intent.client_secret,
+  };
+}
+
+function createStripeGateway(stripe) {
+  return {
+    name: "stripe",
+    createPayment: async (invoice, { idempotencyKey }) => {
+      const intent = await stripe.paymentIntents.create(
+        {
+          amount: Math.round(invoice.amount * 100), // Convert to cents
+          currency: invoice.currency,
+          description: `Tuition invoice ${invoice._id}`,
+          metadata: {
+            invoiceId: invoice._id.toString(),
+            applicationId: invoice.applicationId.toString(),
+            tuitionId: invoice.tuitionId.toString(),
+            tutorId: invoice.tutorId.toString(),
+            studentId: invoice.studentId.toString(),
+          },
+        },
+        { idempotencyKey },
+      );
+      return fromStripePaymentIntent(intent);
+    },
+    retrievePayment: async (id) =>
+      fromStripePaymentIntent(await stripe.paymentIntents.retrieve(id)),
+  };
+}
+
+export function createBillingGateway(
+  type = process.env.BILLING_GATEWAY,
+  { stripe },
+) {
+  if (!type || type === "stripe") return createStripeGateway(stripe);
+  throw new Error(`Unknown billing gateway: ${type}`);
+}
@@ -9,14 +9,126 @@ async function runIndexes() {
 
   await db.collection("users").createIndex({ email: 1 }, { unique: true });
   await db.collection("users").createIndex({ role: 1 });
+  await db.collection("users").createIndex({ role: 1, status: 1, rating: -1 });
+  await db.collection("users").createIndex({ geo: "2dsphere" });
   await db.collection("tuitions").createIndex({ studentId: 1 });
   await db.collection("tuitions").createIndex({ status: 1 });
+  await db
+    .collection("tuitions")
+    .createIndex({ status: 1, applicationDeadline: 1 });
+  await db.collection("tuitions").createIndex({ tutorIds: 1 });
+  await db.collection("tuitions").createIndex({ geo: "2dsphere" });
+  await db.collection("tuitions").createIndex(
+    {
+      title: "text",
+      subject: "text",
+      institution: "text",
+      description: "text",
+    },
+    {
+      name: "tuition_text_search",
+      weights: { title: 10, subject: 5, institution: 3, description: 1 },
+    },
+  );
   await db.collection("applications").createIndex({ tuitionPostId: 1 });
   await db.collection("applications").createIndex({ tutorId: 1 });
   await db.collection("applications").createIndex({ status: 1 });
+  await db
+    .collection("payments")
+    .createIndex({ transactionId: 1 }, { unique: true, sparse: true });
+  await db
+    .collection("payments")
+    .createIndex({ receiptNumber: 1 }, { unique: true, sparse: true });
+  await db.collection("reviews").createIndex({ tutorId: 1, createdAt: -1 });
+  await db
+    .collection("reviews")
+    .createIndex({ studentId: 1, tutorId: 1, tuitionId: 1 }, { unique: true });
+  await db
+    .collection("verificationRequests")
+    .createIndex({ status: 1, submittedAt: 1 });
+  await db.collection("verificationRequests").createIndex({ tutorId: 1 });
+  await db
+    .collection("conversations")
+    .createIndex({ applicationId: 1 }, { unique: true });
+  await db
+    .collection("conversations")
+    .createIndex({ studentId: 1, updatedAt: -1 });
+  await db
+    .collection("conversations")
+    .createIndex({ tutorId: 1, updatedAt: -1 });
+  await db
+    .collection("messages")
+    .createIndex({ conversationId: 1, createdAt: -1 });
+  await db
+    .collection("notifications")
+    .createIndex({ userId: 1, read: 1, createdAt: -1 });
+  await db
+    .collection("savedTuitions")
+    .createIndex({ tutorId: 1, tuitionId: 1 }, { unique: true });
+  await db.collection("savedTuitions").createIndex({ tutorId: 1, savedAt: -1 });
+  await db
+    .collection("tuitionViews")
+    .createIndex({ tuitionId: 1, day: 1, viewerKey: 1 }, { unique: true });
+  await db
+    .collection("cancellationRequests")
+    .createIndex({ status: 1, createdAt: 1 });
+  await db.collection("cancellationRequests").createIndex({ applicationId: 1 });
+  await db
+    .collection("applications")
+    .createIndex({ status: 1, nextBillingDate: 1 });
+  await db
+    .collection("applications")
+    .createIndex({ "trial.status": 1, "trial.respondBy": 1 }, { sparse: true });
+  await db
+    .collection("invoices")
+    .createIndex({ applicationId: 1, periodStart: 1 }, { unique: true });
+  await db.collection("invoices").createIndex({ studentId: 1, dueDate: -1 });
+  await db.collection("invoices").createIndex({ tutorId: 1, dueDate: -1 });
+  await db.collection("invoices").createIndex({ status: 1, dueDate: 1 });
+  await db
+    .collection("ledgerEntries")
+    .createIndex({ entryKey: 1 }, { unique: true });
+  await db
+    .collection("ledgerEntries")
+    .createIndex({ tutorId: 1, createdAt: -1 });
+  await db.collection("ledgerEntries").createIndex({ paymentId: 1 });
+  await db.collection("payouts").createIndex({ tutorId: 1, createdAt: -1 });
+  await db.collection("payouts").createIndex(
+    { withdrawalId: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { withdrawalId: { $type: "objectId" } },
+    },
+  );
+  await db
+    .collection("withdrawalRequests")
+    .createIndex({ status: 1, createdAt: 1 });
+  await db
+    .collection("withdrawalRequests")
+    .createIndex({ tutorId: 1, createdAt: -1 });
+  await db
+    .collection("invitations")
+    .createIndex(
+      { tuitionId: 1, tutorId: 1 },
+      { unique: true, partialFilterExpression: { status: "pending" } },
+    );
+  await db
+    .collection("invitations")
+    .createIndex({ studentId: 1, createdAt: -1 });
+  await db.collection("invitations").createIndex({ tutorId: 1, createdAt: -1 });
+  await db.collection("invitations").createIndex({ status: 1, expiresAt: 1 });
+  await db
+    .collection("sessions")
+    .createIndex({ applicationId: 1, date: 1, slot: 1 }, { unique: true });
+  await db.collection("sessions").createIndex({ tutorId: 1, date: -1 });
+  await db.collection("sessions").createIndex({ status: 1, createdAt: 1 });
 
   console.log("✅ All indexes created successfully");
   await client.close();
 }
 
-runIndexes().catch(console.error);
+// Exit non-zero so a deploy step running this stops on a failed index
+runIndexes().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
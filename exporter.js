@@ -0,0 +1,78 @@
+// exporter.js
+// Streams MongoDB cursors to the client as CSV or XLSX, one row at a time,
+// so exports never hold a whole collection in memory.
+//
+// A column is { header, value: (doc) => any }.
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Quote anything that would break the row; neutralise spreadsheet formulas
+  // in text (numbers such as -500 are left alone)
+  const safe =
+    typeof value === "string" && /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+async function streamCsv(res, columns, cursor) {
+  // BOM so Excel opens UTF-8 (Bangla names) correctly
+  res.write(
+    "\uFEFF" + columns.map((c) => csvCell(c.header)).join(",") + "\r\n",
+  );
+
+  for await (const doc of cursor) {
+    const line = columns.map((c) => csvCell(c.value(doc))).join(",") + "\r\n";
+    if (!res.write(line)) await once(res, "drain");
+  }
+
+  res.end();
+}
+
+async function streamXlsx(res, columns, cursor, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c) => ({
+    header: c.header,
+    width: c.width || 20,
+  }));
+
+  for await (const doc of cursor) {
+    sheet.addRow(columns.map((c) => c.value(doc) ?? null)).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Send `cursor` as a download. Headers are written before the first row, so
+ * errors after that point can only abort the response.
+ */
+export async function streamExport(res, { format, filename, columns, cursor }) {
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader(
+    "Content-Type",
+    format === "xlsx"
+      ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      : "text/csv; charset=utf-8",
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}-${date}.${format}"`,
+  );
+
+  try {
+    if (format === "xlsx") {
+      await streamXlsx(res, columns, cursor, filename);
+    } else {
+      await streamCsv(res, columns, cursor);
+    }
+  } finally {
+    await cursor.close();
+  }
+}
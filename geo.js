@@ -0,0 +1,148 @@
+// geo.js
+// Coordinates for tuitions and tutors. Users can send latitude/longitude
+// themselves; otherwise the location/area text is looked up in the bundled
+// gazetteer of Bangladeshi cities and areas (data/gazetteer.json), so no
+// external geocoding service is needed.
+//
+// Points are stored as GeoJSON ({ type: "Point", coordinates: [lng, lat] })
+// under `geo`, with `geoSource` set to "user" or "gazetteer".
+import { readFileSync } from "fs";
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Upper bound for the `radius` query parameter, in km
+export const MAX_RADIUS_KM = 100;
+
+export const GAZETTEER = JSON.parse(
+  readFileSync(new URL("./data/gazetteer.json", import.meta.url), "utf8"),
+);
+
+function normalise(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+const PLACE_NAMES = GAZETTEER.map((place) => ({
+  place,
+  names: [place.name, ...(place.aliases || [])].map(normalise),
+}));
+
+function matchPlace(text) {
+  const wanted = normalise(text);
+  if (!wanted) return null;
+
+  const exact = PLACE_NAMES.find(({ names }) => names.includes(wanted));
+  if (exact) return exact.place;
+
+  // "House 12, Road 5, Dhanmondi, Dhaka" - find the most specific place named
+  // anywhere in the text (an area beats its city)
+  const padded = ` ${wanted} `;
+  const found = PLACE_NAMES.filter(({ names }) =>
+    names.some((name) => padded.includes(` ${name} `)),
+  ).map(({ place }) => place);
+  return found.find((place) => place.type === "area") || found[0] || null;
+}
+
+// First of `texts` (most specific first, e.g. area then location) that
+// names a known place
+export function lookupPlace(...texts) {
+  for (const text of texts) {
+    const place = matchPlace(text);
+    if (place) return place;
+  }
+  return null;
+}
+
+// Places whose name or alias starts with `search`, for autocomplete
+export function searchPlaces(search, limit = 10) {
+  const wanted = normalise(search);
+  return PLACE_NAMES.filter(
+    ({ names }) => !wanted || names.some((name) => name.startsWith(wanted)),
+  )
+    .slice(0, limit)
+    .map(({ place }) => place);
+}
+
+// GeoJSON point, or null if lat/lng aren't valid coordinates
+export function toPoint(lat, lng) {
+  if (lat === undefined || lat === null || lat === "") return null;
+  if (lng === undefined || lng === null || lng === "") return null;
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+  return { type: "Point", coordinates: [longitude, latitude] };
+}
+
+/**
+ * Coordinates for a tuition or tutor profile. Explicit latitude/longitude
+ * win; otherwise the place names are looked up in the gazetteer.
+ * Returns { geo, geoSource }, or { error } for malformed coordinates, or
+ * null when nothing could be resolved.
+ */
+export function resolveGeo({ latitude, longitude } = {}, ...placeNames) {
+  if (latitude !== undefined || longitude !== undefined) {
+    const geo = toPoint(latitude, longitude);
+    if (!geo) {
+      return { error: "latitude and longitude must be valid coordinates" };
+    }
+    return { geo, geoSource: "user" };
+  }
+
+  const place = lookupPlace(...placeNames);
+  if (!place) return null;
+  return { geo: toPoint(place.lat, place.lng), geoSource: "gazetteer" };
+}
+
+/**
+ * Read a "near me" search from the query string: either ?near=<place> or
+ * ?lat=&lng=, plus an optional ?radius= in km.
+ * Returns { origin, radiusKm }, { error }, or null when no location was
+ * asked for.
+ */
+export function parseNearQuery({ near, lat, lng, radius }) {
+  let origin;
+  if (lat !== undefined || lng !== undefined) {
+    origin = toPoint(lat, lng);
+    if (!origin) return { error: "lat and lng must be valid coordinates" };
+  } else if (near?.trim()) {
+    const place = lookupPlace(near);
+    if (!place) return { error: `Unknown place: ${near.trim()}` };
+    origin = toPoint(place.lat, place.lng);
+  } else if (radius) {
+    return { error: "radius needs near or lat and lng" };
+  } else {
+    return null;
+  }
+
+  let radiusKm = null;
+  if (radius) {
+    radiusKm = Number(radius);
+    if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+      return { error: `radius must be between 0 and ${MAX_RADIUS_KM} km` };
+    }
+  }
+
+  return { origin, radiusKm };
+}
+
+// Radius in km -> radians, for $centerSphere
+export function kmToRadians(km) {
+  return km / EARTH_RADIUS_KM;
+}
+
+// Great-circle distance between two GeoJSON points, in km (1 decimal)
+export function distanceKm(from, to) {
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const a =
+    Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) *
+      Math.cos(rad(lat2)) *
+      Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  return Math.round(km * 10) / 10;
+}
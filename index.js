@@ -1,10 +1,98 @@
 import "dotenv/config";
+import { createHash } from "crypto";
 import express, { json } from "express";
 import cors from "cors";
 import { MongoClient, ObjectId, ServerApiVersion } from "mongodb";
 import admin from "firebase-admin";
 import Stripe from "stripe";
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+import {
+  createMailTransport,
+  defaultEmailPreferences,
+  renderEmail,
+  EMAIL_PREFERENCE_KEYS,
+  EMAIL_TEMPLATE_CATEGORIES,
+} from "./mailer.js";
+import {
+  TUITION_STATES,
+  allowedTransitions,
+  transitionTuition,
+} from "./tuitionLifecycle.js";
+import {
+  INVOICE_STATUSES,
+  PAYABLE_INVOICE_STATUSES,
+  INVOICE_REMINDER_DAYS,
+  addDays,
+  addMonths,
+  billingPeriod,
+  createBillingGateway,
+  fromStripePaymentIntent,
+} from "./billing.js";
+import {
+  DEFAULT_COMMISSION_SETTINGS,
+  resolveCommissionRate,
+  roundMoney,
+  splitAmount,
+  validateCommissionSettings,
+} from "./ledger.js";
+import { EXPORT_FORMATS, streamExport } from "./exporter.js";
+import { escapeRegex, highlightFields, searchTerms } from "./search.js";
+import { rankMatches } from "./matching.js";
+import {
+  SESSION_CONFIRM_DAYS,
+  SESSION_MAX_MINUTES,
+  SESSION_MIN_MINUTES,
+  countScheduledSessions,
+  monthRange,
+  parseSessionDate,
+  sessionsAllowedOn,
+  suggestedRefund,
+  summariseAttendance,
+} from "./attendance.js";
+import {
+  DAY_KEYS,
+  DAY_NAMES,
+  findConflicts,
+  normaliseSlots,
+  parseLegacySchedule,
+  slotDays,
+  subtractSlots,
+} from "./schedule.js";
+import {
+  OPEN_TRIAL_STATUSES,
+  TRIAL_DECISION_DAYS,
+  TRIAL_DEFAULT_MINUTES,
+  TRIAL_TYPES,
+  normaliseTrialPolicy,
+  parseTrialTimes,
+  trialEndsAt,
+} from "./trial.js";
+import { formatReceiptNumber, writeReceiptPdf } from "./receipts.js";
+import {
+  chargeRefundState,
+  createRefund,
+  parseRefundAmount,
+  refundType,
+  refundableAmount,
+} from "./refunds.js";
+import {
+  distanceKm,
+  kmToRadians,
+  parseNearQuery,
+  resolveGeo,
+  searchPlaces,
+} from "./geo.js";
+// STRIPE_API_HOST points the client at a local stand-in such as stripe-mock
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  ...(process.env.STRIPE_API_HOST && {
+    host: process.env.STRIPE_API_HOST,
+    port: Number(process.env.STRIPE_API_PORT) || 12111,
+    protocol: process.env.STRIPE_API_PROTOCOL || "http",
+  }),
+});
+const mailTransport = createMailTransport();
+const billingGateway = createBillingGateway(process.env.BILLING_GATEWAY, {
+  stripe,
+});
 
 // Initialize Firebase Admin
 try {
@@ -28,11 +116,31 @@ try {
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a reverse proxy, TRUST_PROXY (a hop count, "loopback" or a list of
+// proxy addresses) lets req.ip come from X-Forwarded-For. Unset, the header
+// is ignored, since any client can send one.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy,
+  );
+}
+
 // ============= MIDDLEWARES =============
 // =========================================================
 // =========================================================
 app.use(cors());
-app.use(json());
+app.use(
+  json({
+    // Keep the raw body for webhook routes - Stripe signs the exact bytes
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/webhooks/")) {
+        req.rawBody = buf;
+      }
+    },
+  }),
+);
 // Add this middleware before all routes
 async function ensureDBConnection(req, res, next) {
   try {
@@ -120,6 +228,31 @@ const verifyToken = async (req, res, next) => {
     });
   }
 };
+// Optional auth for public routes that personalise their response.
+// Never rejects - a missing or invalid token just means an anonymous visitor.
+const identifyUser = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return next();
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(token);
+    const user = await usersCollection.findOne({ email: decodedToken.email });
+
+    if (user && user.status !== "blocked") {
+      req.decoded_user = {
+        uid: decodedToken.uid,
+        email: decodedToken.email,
+        role: user.role,
+        userId: user._id,
+      };
+    }
+  } catch (error) {
+    // Treat as anonymous
+  }
+
+  next();
+};
+
 const verifyRole = (allowedRoles) => {
   return (req, res, next) => {
     // Check if user exists (verifyToken already ran)
@@ -185,17 +318,151 @@ const usersCollection = db.collection("users");
 const tuitionsCollection = db.collection("tuitions");
 const applicationsCollection = db.collection("applications");
 const paymentsCollection = db.collection("payments");
+const webhookEventsCollection = db.collection("webhookEvents");
+const reviewsCollection = db.collection("reviews");
+const verificationRequestsCollection = db.collection("verificationRequests");
+const conversationsCollection = db.collection("conversations");
+const messagesCollection = db.collection("messages");
+const notificationsCollection = db.collection("notifications");
+const savedTuitionsCollection = db.collection("savedTuitions");
+const tuitionViewsCollection = db.collection("tuitionViews");
+const cancellationRequestsCollection = db.collection("cancellationRequests");
+const invoicesCollection = db.collection("invoices");
+const ledgerEntriesCollection = db.collection("ledgerEntries");
+const payoutsCollection = db.collection("payouts");
+const settingsCollection = db.collection("settings");
+const withdrawalRequestsCollection = db.collection("withdrawalRequests");
+const countersCollection = db.collection("counters");
+const locksCollection = db.collection("locks");
+const invitationsCollection = db.collection("invitations");
+const sessionsCollection = db.collection("sessions");
+
+// Payments that count towards earnings, and what is left of them after refunds
+const SETTLED_PAYMENT_STATUSES = [
+  "completed",
+  "partially_refunded",
+  "refunded",
+];
+const netPaymentAmount = {
+  $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+};
 
 // Indexes for better performance
 async function createIndexes() {
   try {
     await usersCollection.createIndex({ email: 1 }, { unique: true });
     await usersCollection.createIndex({ role: 1 });
+    await usersCollection.createIndex({ role: 1, status: 1, rating: -1 });
+    await usersCollection.createIndex({ geo: "2dsphere" });
     await tuitionsCollection.createIndex({ studentId: 1 });
     await tuitionsCollection.createIndex({ status: 1 });
+    await tuitionsCollection.createIndex({ status: 1, applicationDeadline: 1 });
+    await tuitionsCollection.createIndex({ tutorIds: 1 });
+    await tuitionsCollection.createIndex({ geo: "2dsphere" });
+    await tuitionsCollection.createIndex(
+      {
+        title: "text",
+        subject: "text",
+        institution: "text",
+        description: "text",
+      },
+      {
+        name: "tuition_text_search",
+        weights: { title: 10, subject: 5, institution: 3, description: 1 },
+      },
+    );
     await applicationsCollection.createIndex({ tuitionPostId: 1 });
     await applicationsCollection.createIndex({ tutorId: 1 });
     await applicationsCollection.createIndex({ status: 1 });
+    await paymentsCollection.createIndex(
+      { transactionId: 1 },
+      { unique: true, sparse: true },
+    );
+    await paymentsCollection.createIndex(
+      { receiptNumber: 1 },
+      { unique: true, sparse: true },
+    );
+    await reviewsCollection.createIndex({ tutorId: 1, createdAt: -1 });
+    await reviewsCollection.createIndex(
+      { studentId: 1, tutorId: 1, tuitionId: 1 },
+      { unique: true },
+    );
+    await verificationRequestsCollection.createIndex({
+      status: 1,
+      submittedAt: 1,
+    });
+    await verificationRequestsCollection.createIndex({ tutorId: 1 });
+    await conversationsCollection.createIndex(
+      { applicationId: 1 },
+      { unique: true },
+    );
+    await conversationsCollection.createIndex({ studentId: 1, updatedAt: -1 });
+    await conversationsCollection.createIndex({ tutorId: 1, updatedAt: -1 });
+    await messagesCollection.createIndex({ conversationId: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({
+      userId: 1,
+      read: 1,
+      createdAt: -1,
+    });
+    await savedTuitionsCollection.createIndex(
+      { tutorId: 1, tuitionId: 1 },
+      { unique: true },
+    );
+    await savedTuitionsCollection.createIndex({ tutorId: 1, savedAt: -1 });
+    await tuitionViewsCollection.createIndex(
+      { tuitionId: 1, day: 1, viewerKey: 1 },
+      { unique: true },
+    );
+    await cancellationRequestsCollection.createIndex({
+      status: 1,
+      createdAt: 1,
+    });
+    await cancellationRequestsCollection.createIndex({ applicationId: 1 });
+    await applicationsCollection.createIndex({ status: 1, nextBillingDate: 1 });
+    await applicationsCollection.createIndex(
+      { "trial.status": 1, "trial.respondBy": 1 },
+      { sparse: true },
+    );
+    await invoicesCollection.createIndex(
+      { applicationId: 1, periodStart: 1 },
+      { unique: true },
+    );
+    await invoicesCollection.createIndex({ studentId: 1, dueDate: -1 });
+    await invoicesCollection.createIndex({ tutorId: 1, dueDate: -1 });
+    await invoicesCollection.createIndex({ status: 1, dueDate: 1 });
+    await ledgerEntriesCollection.createIndex(
+      { entryKey: 1 },
+      { unique: true },
+    );
+    await ledgerEntriesCollection.createIndex({ tutorId: 1, createdAt: -1 });
+    await ledgerEntriesCollection.createIndex({ paymentId: 1 });
+    await payoutsCollection.createIndex({ tutorId: 1, createdAt: -1 });
+    // One payout per withdrawal request
+    await payoutsCollection.createIndex(
+      { withdrawalId: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { withdrawalId: { $type: "objectId" } },
+      },
+    );
+    await withdrawalRequestsCollection.createIndex({ status: 1, createdAt: 1 });
+    await withdrawalRequestsCollection.createIndex({
+      tutorId: 1,
+      createdAt: -1,
+    });
+    await invitationsCollection.createIndex(
+      { tuitionId: 1, tutorId: 1 },
+      { unique: true, partialFilterExpression: { status: "pending" } },
+    );
+    await invitationsCollection.createIndex({ studentId: 1, createdAt: -1 });
+    await invitationsCollection.createIndex({ tutorId: 1, createdAt: -1 });
+    await invitationsCollection.createIndex({ status: 1, expiresAt: 1 });
+    await sessionsCollection.createIndex(
+      { applicationId: 1, date: 1, slot: 1 },
+      { unique: true },
+    );
+    await sessionsCollection.createIndex({ tutorId: 1, date: -1 });
+    await sessionsCollection.createIndex({ status: 1, createdAt: 1 });
     console.log("✅ Indexes created successfully");
   } catch (error) {
     console.log("Index creation error:", error.message);
@@ -211,25 +478,265 @@ app.get("/", ensureDBConnection, (req, res) => {
 // =============================================
 // =============================================
 
-// GET all tutors (public route)
+// Number from a query string, or undefined when missing / not a number
+function parseNumberParam(value) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return isNaN(number) ? undefined : number;
+}
+
+// { $gte, $lte } from optional bounds, or null when neither is set
+function numberRange(min, max) {
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+// Condition on `geo` for a near-me search (see parseNearQuery).
+// $nearSphere returns nearest first but can't be counted or combined with
+// $text, so counts and other sort orders use $geoWithin instead.
+function geoCondition({ origin, radiusKm }, { nearest = false } = {}) {
+  if (nearest) {
+    return {
+      $nearSphere: {
+        $geometry: origin,
+        ...(radiusKm && { $maxDistance: radiusKm * 1000 }),
+      },
+    };
+  }
+  if (radiusKm) {
+    return {
+      $geoWithin: {
+        $centerSphere: [origin.coordinates, kmToRadians(radiusKm)],
+      },
+    };
+  }
+  return { $exists: true };
+}
+
+// Distance from the search origin, for results that have coordinates
+function withDistance(doc, near) {
+  if (!near || !doc.geo) return doc;
+  return { ...doc, distanceKm: distanceKm(near.origin, doc.geo) };
+}
+
+/**
+ * $set / $unset for `geo` after an edit. Explicit latitude/longitude always
+ * win; otherwise the gazetteer is only consulted when the place names
+ * changed, so a location the user pinned isn't overwritten.
+ * Returns {} when nothing changes, or { error }.
+ */
+function geoUpdate(body, placeChanged, ...placeNames) {
+  const pinned = body.latitude !== undefined || body.longitude !== undefined;
+  if (!pinned && !placeChanged) return {};
+
+  const resolved = resolveGeo(body, ...placeNames);
+  if (resolved?.error) return { error: resolved.error };
+  if (!resolved) return { $unset: { geo: "", geoSource: "" } };
+  return { $set: resolved };
+}
+
+// Weekly slots for a tuition schedule: `slots` when sent, else whatever can
+// be read from the free-text days/hours. Returns { slots } or { error }.
+function scheduleSlots(schedule) {
+  if (schedule?.slots !== undefined) return normaliseSlots(schedule.slots);
+  return { slots: parseLegacySchedule(schedule?.days, schedule?.hours) };
+}
+
+// How many tutors a post hires: a whole number, never below the tutors it
+// already has. Returns { slots } or { error }.
+function parseSlotCount(value, hired = 0) {
+  const minimum = Math.max(1, hired);
+  const slots = Number(value);
+  if (!Number.isInteger(slots) || slots < minimum) {
+    return { error: `slots must be a whole number of at least ${minimum}` };
+  }
+  return { slots };
+}
+
+// Tutor availability with its weekly `slots` validated. Returns
+// { availability } or { error }.
+function buildAvailability(availability = {}) {
+  if (availability.slots === undefined) return { availability };
+  const { slots, error } = normaliseSlots(availability.slots);
+  if (error) return { error };
+  return { availability: { ...availability, slots } };
+}
+
+// Weekly slots taken by the tuitions a tutor is hired for and still
+// teaching, each tagged with its tuition
+async function getTutorBusySlots(tutorId) {
+  const tuitions = await tuitionsCollection
+    .find(
+      { tutorIds: tutorId, status: { $in: ["active", "ongoing"] } },
+      { projection: { title: 1, "schedule.slots": 1 } },
+    )
+    .toArray();
+
+  return tuitions.flatMap((tuition) =>
+    (tuition.schedule?.slots || []).map((slot) => ({
+      ...slot,
+      tuitionId: tuition._id,
+      title: tuition.title,
+    })),
+  );
+}
+
+// GET known places for location autocomplete (public route)
+app.get("/api/places", (req, res) => {
+  const places = searchPlaces(req.query.search || "");
+  res.send({
+    success: true,
+    data: places.map(({ name, type, district, lat, lng }) => ({
+      name,
+      type,
+      district,
+      lat,
+      lng,
+    })),
+  });
+});
+
+const TUTOR_SORTS = {
+  rating: { rating: -1, totalReviews: -1 },
+  reviews: { totalReviews: -1, rating: -1 },
+  experience: { experience: -1, rating: -1 },
+  "salary-low": { expectedSalary: 1 },
+  "salary-high": { expectedSalary: -1 },
+  newest: { createdAt: -1 },
+  name: { name: 1 },
+};
+
+// GET all tutors (public route) with search, filters, sorting and pagination
 app.get("/api/tutors", ensureDBConnection, async (req, res) => {
   try {
-    const tutors = await usersCollection
-      .find({
-        role: "tutor",
-        status: "active",
-      })
+    const {
+      search,
+      subjects,
+      location,
+      verified,
+      trial,
+      page = 1,
+      limit = 12,
+    } = req.query;
+
+    // Near a place or coordinates - nearest first unless sorted otherwise
+    const near = parseNearQuery(req.query);
+    if (near?.error) {
+      return res.status(400).send({ success: false, error: near.error });
+    }
+    const sortBy = req.query.sortBy || (near ? "distance" : "rating");
+
+    const filter = {
+      role: "tutor",
+      status: "active",
+    };
+
+    // Name or bio
+    if (search?.trim()) {
+      const pattern = escapeRegex(search.trim());
+      filter.$or = [
+        { name: { $regex: pattern, $options: "i" } },
+        { bio: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    // Teaches any of the given subjects (comma separated)
+    const subjectList = (subjects || "")
+      .split(",")
+      .map((subject) => subject.trim())
+      .filter(Boolean);
+    if (subjectList.length > 0) {
+      filter.subjects = {
+        $in: subjectList.map(
+          (subject) => new RegExp(`^${escapeRegex(subject)}$`, "i"),
+        ),
+      };
+    }
+
+    // Location
+    if (location?.trim()) {
+      filter.location = {
+        $regex: escapeRegex(location.trim()),
+        $options: "i",
+      };
+    }
+
+    // Experience (years) and expected salary ranges
+    const experience = numberRange(
+      parseNumberParam(req.query.minExperience),
+      parseNumberParam(req.query.maxExperience),
+    );
+    if (experience) filter.experience = experience;
+
+    const expectedSalary = numberRange(
+      parseNumberParam(req.query.minSalary),
+      parseNumberParam(req.query.maxSalary),
+    );
+    if (expectedSalary) filter.expectedSalary = expectedSalary;
+
+    // Minimum rating
+    const minRating = parseNumberParam(req.query.minRating);
+    if (minRating !== undefined) filter.rating = { $gte: minRating };
+
+    // Verification status
+    if (verified === "true") filter.isVerified = true;
+    else if (verified === "false") filter.isVerified = { $ne: true };
+
+    // Offers a trial class: any, or only free / paid ones
+    if (trial === "any") filter["trialPolicy.offered"] = true;
+    else if (TRIAL_TYPES.includes(trial)) {
+      filter["trialPolicy.offered"] = true;
+      filter["trialPolicy.type"] = trial;
+    }
+
+    if (sortBy === "distance" && !near) {
+      return res.status(400).send({
+        success: false,
+        error: "Sorting by distance needs near or lat and lng",
+      });
+    }
+
+    // Within the radius (or anywhere with coordinates)
+    if (near) filter.geo = geoCondition(near);
+
+    // Pagination
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 12, 1), 50);
+    const skip = (pageNumber - 1) * pageSize;
+
+    // $nearSphere orders by distance itself; other sorts use the $geoWithin
+    // filter. _id last keeps pages stable when values tie.
+    const nearest = sortBy === "distance";
+    let cursor = usersCollection
+      .find(
+        nearest ? { ...filter, geo: geoCondition(near, { nearest }) } : filter,
+      )
       .project({
         password: 0, // exclude password
         firebaseUID: 0, // exclude firebase UID
-      })
-      .sort({ rating: -1, totalReviews: -1 }) // sort by rating and reviews
-      .toArray();
+        payoutMethods: 0, // bank / mobile wallet details stay private
+        emailPreferences: 0,
+      });
+    if (!nearest) {
+      cursor = cursor.sort({
+        ...(TUTOR_SORTS[sortBy] || TUTOR_SORTS.rating),
+        _id: 1,
+      });
+    }
+
+    const tutors = await cursor.skip(skip).limit(pageSize).toArray();
+
+    const totalCount = await usersCollection.countDocuments(filter);
 
     res.send({
       success: true,
       count: tutors.length,
-      data: tutors,
+      data: tutors.map((tutor) => withDistance(tutor, near)),
+      total: totalCount,
+      page: pageNumber,
+      totalPages: Math.ceil(totalCount / pageSize),
     });
   } catch (error) {
     console.error("Error fetching tutors:", error);
@@ -252,6 +759,8 @@ app.get("/api/tutors/:id", ensureDBConnection, async (req, res) => {
         projection: {
           password: 0,
           firebaseUID: 0,
+          payoutMethods: 0,
+          emailPreferences: 0,
         },
       },
     );
@@ -280,54 +789,117 @@ app.get("/api/tutors/:id", ensureDBConnection, async (req, res) => {
 // =============================================
 // =============================================
 
+// Tuition IDs (as strings) the signed-in tutor has saved, out of the given ones
+async function getSavedTuitionIds(req, tuitionIds) {
+  if (req.decoded_user?.role !== "tutor" || tuitionIds.length === 0) {
+    return new Set();
+  }
+
+  const saved = await savedTuitionsCollection
+    .find(
+      { tutorId: req.decoded_user.userId, tuitionId: { $in: tuitionIds } },
+      { projection: { tuitionId: 1 } },
+    )
+    .toArray();
+
+  return new Set(saved.map((s) => s.tuitionId.toString()));
+}
+
+// Fields covered by the tuition text index, in the order results show them
+const TUITION_TEXT_FIELDS = ["title", "subject", "institution", "description"];
+
+// Stand-in for $text when the text index is missing: every search word must
+// appear, matched literally, in one of the indexed fields
+function tuitionTextFallback(searchText) {
+  return searchTerms(searchText).map((term) => ({
+    $or: TUITION_TEXT_FIELDS.map((field) => ({
+      [field]: { $regex: escapeRegex(term), $options: "i" },
+    })),
+  }));
+}
+
 // GET all tuitions with search, filters and sorting
-app.get("/api/tuitions", ensureDBConnection, async (req, res) => {
+app.get("/api/tuitions", ensureDBConnection, identifyUser, async (req, res) => {
   try {
     const {
       search,
       location,
       subject,
       class: className,
-      sortBy = "newest",
       page = 1,
       limit = 4,
     } = req.query;
+    const searchText = search?.trim();
+
+    // Near a place or coordinates
+    const near = parseNearQuery(req.query);
+    if (near?.error) {
+      return res.status(400).send({ success: false, error: near.error });
+    }
+
+    // Searches rank by relevance and near-me lists by distance unless
+    // another sort is asked for
+    const sortBy =
+      req.query.sortBy ||
+      (searchText ? "relevance" : near ? "distance" : "newest");
+
+    if (sortBy === "distance" && (!near || searchText)) {
+      return res.status(400).send({
+        success: false,
+        error: near
+          ? "Sorting by distance can't be combined with search"
+          : "Sorting by distance needs near or lat and lng",
+      });
+    }
 
     // Build filter
     const filter = { status: "active" };
 
-    // Search
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { institution: { $regex: search, $options: "i" } },
-        { subject: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-      ];
+    // Hide posts past their deadline that the sweeper hasn't expired yet.
+    // Each condition is its own $and entry so they never merge into one $or.
+    filter.$and = [
+      {
+        $or: [
+          { applicationDeadline: null },
+          { applicationDeadline: { $gt: new Date() } },
+        ],
+      },
+    ];
+
+    // Search - text index over title, subject, institution and description
+    if (searchText) {
+      filter.$text = { $search: searchText };
     }
 
-    // Location
+    // Location (city or area)
     if (location) {
-      filter.$or = filter.$or || [];
-      filter.$or.push(
-        { location: { $regex: location, $options: "i" } },
-        { area: { $regex: location, $options: "i" } },
-      );
+      const pattern = escapeRegex(location.trim());
+      filter.$and.push({
+        $or: [
+          { location: { $regex: pattern, $options: "i" } },
+          { area: { $regex: pattern, $options: "i" } },
+        ],
+      });
     }
 
     // Subject
     if (subject) {
-      filter.subject = { $regex: subject, $options: "i" };
+      filter.subject = { $regex: escapeRegex(subject.trim()), $options: "i" };
     }
 
     // Class
     if (className) {
-      filter.class = { $regex: className, $options: "i" };
+      filter.class = { $regex: escapeRegex(className.trim()), $options: "i" };
     }
 
-    // Sorting
+    // Within the radius (or anywhere with coordinates)
+    if (near) filter.geo = geoCondition(near);
+
+    // Sorting ("distance" is handled by $nearSphere below)
     let sort = {};
-    if (sortBy === "budget-low") sort = { minBudget: 1 };
+    if (sortBy === "relevance" && searchText) {
+      sort = { score: { $meta: "textScore" }, posted: -1 };
+    } else if (sortBy === "budget-low") sort = { minBudget: 1 };
     else if (sortBy === "budget-high") sort = { minBudget: -1 };
     else if (sortBy === "newest") sort = { posted: -1 };
     else if (sortBy === "oldest") sort = { posted: 1 };
@@ -338,18 +910,57 @@ app.get("/api/tuitions", ensureDBConnection, async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Get data
-    const tuitions = await tuitionsCollection
-      .find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    const findPage = async (query, order, textScore) => [
+      await tuitionsCollection
+        .find(
+          sortBy === "distance"
+            ? { ...query, geo: geoCondition(near, { nearest: true }) }
+            : query,
+          {
+            projection: textScore ? { score: { $meta: "textScore" } } : {},
+          },
+        )
+        .sort(sortBy === "distance" ? {} : order)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      await tuitionsCollection.countDocuments(query),
+    ];
+
+    let tuitions;
+    let totalCount;
+    try {
+      [tuitions, totalCount] = await findPage(filter, sort, !!searchText);
+    } catch (error) {
+      // 27 = IndexNotFound: the text index was never built (see
+      // createIndexes.js), so search without it rather than fail
+      if (!searchText || error.code !== 27) throw error;
+      console.error("Tuition text index missing, searching with $regex");
+
+      const { $text, ...regexFilter } = filter;
+      regexFilter.$and = [...filter.$and, ...tuitionTextFallback(searchText)];
+      [tuitions, totalCount] = await findPage(
+        regexFilter,
+        sort.score ? { posted: -1 } : sort,
+        false,
+      );
+    }
 
-    const totalCount = await tuitionsCollection.countDocuments(filter);
+    // Flag bookmarked posts for a signed-in tutor
+    const savedIds = await getSavedTuitionIds(
+      req,
+      tuitions.map((t) => t._id),
+    );
 
     res.send({
       success: true,
-      data: tuitions,
+      data: tuitions.map((tuition) => ({
+        ...withDistance(tuition, near),
+        isSaved: savedIds.has(tuition._id.toString()),
+        ...(searchText && {
+          highlights: highlightFields(tuition, searchText, TUITION_TEXT_FIELDS),
+        }),
+      })),
       total: totalCount,
       page: parseInt(page),
       totalPages: Math.ceil(totalCount / parseInt(limit)),
@@ -359,42 +970,100 @@ app.get("/api/tuitions", ensureDBConnection, async (req, res) => {
   }
 });
 
-// GET single tuition by ID
-app.get("/api/tuitions/:id", ensureDBConnection, async (req, res) => {
+// Count one view per viewer per day. Signed-in users are keyed by their ID,
+// anonymous visitors by a salted hash of IP + user agent (never stored raw).
+async function recordTuitionView(req, tuition) {
   try {
-    const { id } = req.params;
+    const userId = req.decoded_user?.userId;
+
+    // Owners looking at their own post don't count
+    if (userId && userId.toString() === tuition.studentId.toString()) return;
+
+    const day = new Date().toISOString().slice(0, 10);
+    let viewerKey;
+    if (userId) {
+      viewerKey = `user:${userId}`;
+    } else {
+      // Same fingerprint every day, so a visitor is one unique viewer over a
+      // range; `day` in the key below still counts one view per day
+      const fingerprint = createHash("sha256")
+        .update(
+          `${req.ip || ""}|${req.headers["user-agent"] || ""}|${process.env.VIEW_HASH_SALT || ""}`,
+        )
+        .digest("hex");
+      viewerKey = `anon:${fingerprint}`;
+    }
 
-    // Validate if the ID is a valid ObjectId
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).send({
-        success: false,
-        error: "Invalid tuition ID format",
-      });
+    const result = await tuitionViewsCollection.updateOne(
+      { tuitionId: tuition._id, day, viewerKey },
+      {
+        $setOnInsert: {
+          viewerType: userId ? "user" : "anonymous",
+          viewedAt: new Date(),
+        },
+      },
+      { upsert: true },
+    );
+
+    if (result.upsertedCount > 0) {
+      await tuitionsCollection.updateOne(
+        { _id: tuition._id },
+        { $inc: { views: 1 } },
+      );
+    }
+  } catch (error) {
+    // Duplicate key from a concurrent request - already counted
+    if (error.code !== 11000) {
+      console.error("Error recording tuition view:", error.message);
     }
+  }
+}
 
-    const tuition = await tuitionsCollection.findOne({
-      _id: new ObjectId(id),
-      status: "active", // Only return active tuitions
-    });
+// GET single tuition by ID
+app.get(
+  "/api/tuitions/:id",
+  ensureDBConnection,
+  identifyUser,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    if (!tuition) {
-      return res.status(404).send({
+      // Validate if the ID is a valid ObjectId
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition ID format",
+        });
+      }
+
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(id),
+        status: "active", // Only return active tuitions
+      });
+
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition post not found",
+        });
+      }
+
+      await recordTuitionView(req, tuition);
+      const savedIds = await getSavedTuitionIds(req, [tuition._id]);
+
+      res.send({
+        success: true,
+        data: { ...tuition, isSaved: savedIds.has(tuition._id.toString()) },
+      });
+    } catch (error) {
+      console.error("Error fetching tuition:", error);
+      res.status(500).send({
         success: false,
-        error: "Tuition post not found",
+        error: error.message,
       });
     }
-    res.send({
-      success: true,
-      data: tuition,
-    });
-  } catch (error) {
-    console.error("Error fetching tuition:", error);
-    res.status(500).send({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+  },
+);
 
 // ============= Backend APIs =============
 // =============================================
@@ -430,6 +1099,20 @@ app.post("/api/users", ensureDBConnection, async (req, res) => {
       });
     }
 
+    // Tutor coordinates - pinned latitude/longitude or the location's name
+    const tutorGeo =
+      role === "tutor" ? resolveGeo(req.body, req.body.location) : null;
+    if (tutorGeo?.error) {
+      return res.status(400).send({ success: false, error: tutorGeo.error });
+    }
+
+    const { availability, error: availabilityError } = buildAvailability(
+      req.body.availability || {},
+    );
+    if (role === "tutor" && availabilityError) {
+      return res.status(400).send({ success: false, error: availabilityError });
+    }
+
     // Prepare user document for MongoDB
     const newUser = {
       uid, // Firebase UID
@@ -452,8 +1135,10 @@ app.post("/api/users", ensureDBConnection, async (req, res) => {
         experience: req.body.experience || 0,
         bio: req.body.bio || "",
         expectedSalary: req.body.expectedSalary || 0,
+        gender: req.body.gender || "",
         location: req.body.location || "",
-        availability: req.body.availability || {},
+        ...tutorGeo,
+        availability,
         whatsapp: req.body.whatsapp || "",
         rating: 0,
         totalReviews: 0,
@@ -464,12 +1149,16 @@ app.post("/api/users", ensureDBConnection, async (req, res) => {
         preferredSubjects: req.body.preferredSubjects || [],
         class: req.body.class || "",
       }),
+
+      // Email opt-outs - everything on by default
+      emailPreferences: defaultEmailPreferences(),
     };
 
     // Save to MongoDB and return the result directly
     const result = await usersCollection.insertOne(newUser);
 
     console.log(`✅ New user registered: ${email} as ${role}`);
+    await sendEmail(newUser, "welcome");
 
     // Send the MongoDB result directly
     res.status(201).send(result);
@@ -498,6 +1187,21 @@ app.post("/api/users/google", ensureDBConnection, async (req, res) => {
       });
     }
 
+    // An account signed up through Google without POST /api/users has no
+    // email preferences yet. Give it the defaults and the welcome email on
+    // its first sign-in - conditional, so it only happens once.
+    if (!existingUser.emailPreferences) {
+      const emailPreferences = defaultEmailPreferences();
+      const firstSignIn = await usersCollection.updateOne(
+        { _id: existingUser._id, emailPreferences: { $exists: false } },
+        { $set: { emailPreferences, updatedAt: new Date() } },
+      );
+      existingUser.emailPreferences = emailPreferences;
+      if (firstSignIn.modifiedCount > 0) {
+        await sendEmail(existingUser, "welcome");
+      }
+    }
+
     // User exists - just return success with user data
     console.log(`✅ Google login successful for existing user: ${email}`);
 
@@ -585,7 +1289,15 @@ app.put(
         });
       }
 
-      const { name, phone, photoURL, location, bio, whatsapp } = req.body;
+      const {
+        name,
+        phone,
+        photoURL,
+        location,
+        bio,
+        whatsapp,
+        emailPreferences,
+      } = req.body;
 
       // Build update object based on user role
       const updateData = {
@@ -598,7 +1310,17 @@ app.put(
         updatedAt: new Date(),
       };
 
+      // Email opt-outs - only known categories, only booleans
+      if (emailPreferences) {
+        EMAIL_PREFERENCE_KEYS.forEach((key) => {
+          if (typeof emailPreferences[key] === "boolean") {
+            updateData[`emailPreferences.${key}`] = emailPreferences[key];
+          }
+        });
+      }
+
       // Add role-specific fields
+      let geoChange = {};
       if (req.decoded_user.role === "tutor") {
         const {
           qualifications,
@@ -606,13 +1328,52 @@ app.put(
           experience,
           expectedSalary,
           availability,
+          gender,
+          trialPolicy,
         } = req.body;
 
+        // Coordinates follow the location unless pinned explicitly
+        const current = await usersCollection.findOne(
+          { email },
+          { projection: { location: 1 } },
+        );
+        geoChange = geoUpdate(
+          req.body,
+          location !== undefined && location !== current?.location,
+          location ?? current?.location,
+        );
+        if (geoChange.error) {
+          return res.status(400).send({
+            success: false,
+            error: geoChange.error,
+          });
+        }
+
         if (qualifications) updateData.qualifications = qualifications;
         if (subjects) updateData.subjects = subjects;
         if (experience) updateData.experience = experience;
         if (expectedSalary) updateData.expectedSalary = expectedSalary;
-        if (availability) updateData.availability = availability;
+        if (availability) {
+          const built = buildAvailability(availability);
+          if (built.error) {
+            return res.status(400).send({
+              success: false,
+              error: built.error,
+            });
+          }
+          updateData.availability = built.availability;
+        }
+        if (gender) updateData.gender = gender;
+        if (trialPolicy) {
+          const policy = normaliseTrialPolicy(trialPolicy);
+          if (policy.error) {
+            return res.status(400).send({
+              success: false,
+              error: policy.error,
+            });
+          }
+          updateData.trialPolicy = policy.trialPolicy;
+        }
       } else if (req.decoded_user.role === "student") {
         const { preferredSubjects, class: studentClass } = req.body;
 
@@ -622,8 +1383,11 @@ app.put(
 
       const result = await usersCollection.updateOne(
         { email },
-        { $set: updateData },
-      );
+        {
+          $set: { ...updateData, ...geoChange.$set },
+          ...(geoChange.$unset && { $unset: geoChange.$unset }),
+        },
+      );
 
       if (result.matchedCount === 0) {
         return res.status(404).send({
@@ -691,7 +1455,7 @@ app.get(
 
       if (user.role === "tutor") {
         // Get tutor statistics using MongoDB _id
-        const [totalApplications, acceptedApplications, totalEarnings] =
+        const [totalApplications, acceptedApplications, ledger] =
           await Promise.all([
             applicationsCollection.countDocuments({
               tutorId: user._id, // 👈 Use user._id not uid
@@ -700,32 +1464,19 @@ app.get(
               tutorId: user._id,
               status: "approved", // 👈 "approved" not "accepted"
             }),
-            paymentsCollection
-              .aggregate([
-                {
-                  $match: {
-                    tutorId: user._id,
-                    status: "completed",
-                  },
-                },
-                {
-                  $group: {
-                    _id: null,
-                    total: { $sum: "$amount" },
-                  },
-                },
-              ])
-              .toArray(),
+            getTutorLedgerSummary(user._id),
           ]);
 
         stats.applications = totalApplications;
         stats.acceptedApplications = acceptedApplications;
-        stats.totalEarnings = totalEarnings[0]?.total || 0;
+        // After platform commission and refunds
+        stats.totalEarnings = ledger.earned;
+        stats.balance = ledger.balance;
 
-        // Get ongoing tuitions count
+        // Get ongoing tuitions count (partly filled posts are still active)
         stats.ongoingTuitions = await tuitionsCollection.countDocuments({
-          tutorId: user._id,
-          status: "completed",
+          tutorIds: user._id,
+          status: { $in: ["active", "ongoing"] },
         });
       } else if (user.role === "student") {
         // Get student statistics using MongoDB _id
@@ -736,20 +1487,20 @@ app.get(
             }),
             tuitionsCollection.countDocuments({
               studentId: user._id,
-              status: "completed",
+              status: { $in: ["active", "ongoing"] },
             }),
             paymentsCollection
               .aggregate([
                 {
                   $match: {
                     studentId: user._id,
-                    status: "completed",
+                    status: { $in: SETTLED_PAYMENT_STATUSES },
                   },
                 },
                 {
                   $group: {
                     _id: null,
-                    total: { $sum: "$amount" },
+                    total: { $sum: netPaymentAmount }, // minus refunds
                   },
                 },
               ])
@@ -985,7 +1736,7 @@ app.post(
         !location ||
         !minBudget ||
         !maxBudget ||
-        !schedule?.days
+        !(schedule?.days || schedule?.slots?.length)
       ) {
         return res.status(400).send({
           success: false,
@@ -993,6 +1744,33 @@ app.post(
         });
       }
 
+      // Weekly class times
+      const { slots: weeklySlots, error: slotsError } = scheduleSlots(schedule);
+      if (slotsError) {
+        return res.status(400).send({
+          success: false,
+          error: slotsError,
+        });
+      }
+
+      const { slots: slotCount, error: slotCountError } =
+        slots === undefined ? { slots: 1 } : parseSlotCount(slots);
+      if (slotCountError) {
+        return res.status(400).send({
+          success: false,
+          error: slotCountError,
+        });
+      }
+
+      // Coordinates - pinned latitude/longitude, else the area or location
+      const tuitionGeo = resolveGeo(req.body, area, location);
+      if (tuitionGeo?.error) {
+        return res.status(400).send({
+          success: false,
+          error: tuitionGeo.error,
+        });
+      }
+
       const newTuition = {
         // Student info
         studentId: student._id,
@@ -1004,6 +1782,7 @@ app.post(
         institution: institution || "",
         location,
         area: area || "",
+        ...tuitionGeo,
         type: type || "part-time",
         mode: mode || "on-site",
 
@@ -1018,8 +1797,10 @@ app.post(
 
         // Schedule
         schedule: {
-          days: schedule.days,
+          days:
+            schedule.days || slotDays(weeklySlots).map((day) => DAY_NAMES[day]),
           hours: schedule.hours || "",
+          slots: weeklySlots,
           flexible: schedule.flexible || false,
           startDate: schedule.startDate ? new Date(schedule.startDate) : null,
           duration: schedule.duration || "",
@@ -1041,13 +1822,23 @@ app.post(
         // Meta
         badge: badge || "",
         badgeColor: badgeColor || "secondary",
-        slots: Number(slots) || 1,
+        slots: slotCount,
         applicationDeadline: applicationDeadline
           ? new Date(applicationDeadline)
           : null,
 
         // System fields
         status: "pending", // Admin approval required
+        statusHistory: [
+          {
+            from: null,
+            to: "pending",
+            role: "student",
+            actorId: student._id,
+            reason: "",
+            at: new Date(),
+          },
+        ],
         applicants: 0,
         views: 0,
         savedCount: 0,
@@ -1286,6 +2077,38 @@ app.put(
         status,
       } = req.body;
 
+      // Status only changes through the lifecycle endpoint
+      if (status !== undefined && status !== existingTuition.status) {
+        return res.status(400).send({
+          success: false,
+          error: "Use PATCH /api/tuitions/:id/status to change the status",
+          code: "INVALID_TRANSITION",
+        });
+      }
+
+      // Weekly class times - kept as they are when no schedule is sent
+      const { slots: weeklySlots, error: slotsError } = schedule
+        ? scheduleSlots(schedule)
+        : { slots: existingTuition.schedule?.slots };
+      if (slotsError) {
+        return res.status(400).send({
+          success: false,
+          error: slotsError,
+        });
+      }
+
+      // Tutor slots - kept as they are when not sent, and never fewer than
+      // the tutors already hired
+      const hiredCount = existingTuition.tutorIds?.length || 0;
+      const { slots: slotCount, error: slotCountError } =
+        slots === undefined ? {} : parseSlotCount(slots, hiredCount);
+      if (slotCountError) {
+        return res.status(400).send({
+          success: false,
+          error: slotCountError,
+        });
+      }
+
       const updateData = {
         title,
         institution,
@@ -1299,8 +2122,11 @@ app.put(
         maxBudget: Number(maxBudget),
         budgetType,
         schedule: {
-          days: schedule?.days,
+          days:
+            schedule?.days ||
+            slotDays(weeklySlots).map((day) => DAY_NAMES[day]),
           hours: schedule?.hours,
+          slots: weeklySlots,
           flexible: schedule?.flexible,
           startDate: schedule?.startDate ? new Date(schedule.startDate) : null,
           duration: schedule?.duration,
@@ -1316,11 +2142,10 @@ app.put(
         description,
         badge,
         badgeColor,
-        slots: Number(slots),
+        slots: slotCount,
         applicationDeadline: applicationDeadline
           ? new Date(applicationDeadline)
           : null,
-        status: status || existingTuition.status,
         updatedAt: new Date(),
       };
 
@@ -1329,11 +2154,45 @@ app.put(
         (key) => updateData[key] === undefined && delete updateData[key],
       );
 
+      // Coordinates follow the area/location unless pinned explicitly
+      const geoChange = geoUpdate(
+        req.body,
+        (location !== undefined && location !== existingTuition.location) ||
+          (area !== undefined && area !== existingTuition.area),
+        area ?? existingTuition.area,
+        location ?? existingTuition.location,
+      );
+      if (geoChange.error) {
+        return res.status(400).send({
+          success: false,
+          error: geoChange.error,
+        });
+      }
+
       const result = await tuitionsCollection.updateOne(
-        { _id: new ObjectId(tuitionId) },
-        { $set: updateData },
+        {
+          _id: new ObjectId(tuitionId),
+          // A hire landing meanwhile mustn't leave more tutors than slots
+          ...(slotCount !== undefined && {
+            $expr: {
+              $lte: [{ $size: { $ifNull: ["$tutorIds", []] } }, slotCount],
+            },
+          }),
+        },
+        {
+          $set: { ...updateData, ...geoChange.$set },
+          ...(geoChange.$unset && { $unset: geoChange.$unset }),
+        },
       );
 
+      if (result.matchedCount === 0 && slotCount !== undefined) {
+        return res.status(409).send({
+          success: false,
+          error: "A tutor was hired in the meantime, please retry",
+          code: "STATUS_CONFLICT",
+        });
+      }
+
       if (result.modifiedCount === 0 && result.matchedCount === 0) {
         return res.status(400).send({
           success: false,
@@ -1341,6 +2200,15 @@ app.put(
         });
       }
 
+      // More slots than hired tutors - a full post takes applications again
+      if (existingTuition.status === "ongoing" && slotCount > hiredCount) {
+        await transitionTuition(tuitionsCollection, existingTuition, "active", {
+          role: "system",
+          actorId: student._id,
+          reason: "Tutor slots added",
+        });
+      }
+
       const updatedTuition = await tuitionsCollection.findOne({
         _id: new ObjectId(tuitionId),
       });
@@ -1361,6 +2229,257 @@ app.put(
   },
 );
 
+// Close every pending application on a tuition that stopped taking tutors
+async function closePendingApplications(tuitionId, reason) {
+  await applicationsCollection.updateMany(
+    { tuitionPostId: tuitionId, status: "pending" },
+    {
+      $set: {
+        status: "closed",
+        closedReason: reason,
+        updatedAt: new Date(),
+      },
+    },
+  );
+}
+
+// PATCH - Change tuition status through the lifecycle (Student owner or Admin)
+app.patch(
+  "/api/tuitions/:id/status",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const tuitionId = req.params.id;
+      const { status, reason } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(tuitionId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition ID",
+        });
+      }
+
+      if (!TUITION_STATES.includes(status)) {
+        return res.status(400).send({
+          success: false,
+          error: `Status must be one of: ${TUITION_STATES.join(", ")}`,
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const filter = { _id: new ObjectId(tuitionId) };
+      if (user.role === "student") filter.studentId = user._id;
+
+      const tuition = await tuitionsCollection.findOne(filter);
+
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found or you don't have permission",
+        });
+      }
+
+      // Hired tutors have been paid - that needs a cancellation request
+      if (
+        status === "cancelled" &&
+        user.role === "student" &&
+        tuition.tutorIds?.length > 0
+      ) {
+        return res.status(400).send({
+          success: false,
+          error:
+            "This tuition already has a hired tutor. Please submit a cancellation request instead.",
+          code: "HIRED_TUITION",
+        });
+      }
+
+      const transition = await transitionTuition(
+        tuitionsCollection,
+        tuition,
+        status,
+        {
+          role: user.role,
+          actorId: user._id,
+          reason: reason || "",
+          // Resubmitting a rejected post clears the old verdict
+          unset: status === "pending" ? { rejectionReason: "" } : {},
+        },
+      );
+
+      if (!transition.success) {
+        return res.status(400).send({
+          success: false,
+          error: transition.error,
+          code: transition.code,
+          allowedTransitions: allowedTransitions(tuition.status, user.role),
+        });
+      }
+
+      if (status === "cancelled") {
+        await closePendingApplications(tuition._id, "tuition_cancelled");
+      }
+
+      console.log(
+        `✅ Tuition ${tuitionId}: ${transition.from} → ${transition.to} by ${email}`,
+      );
+      res.send({
+        success: true,
+        message: `Tuition moved to ${status}`,
+        data: {
+          from: transition.from,
+          to: transition.to,
+          allowedTransitions: allowedTransitions(status, user.role),
+        },
+      });
+    } catch (error) {
+      console.error("Error changing tuition status:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Extend application deadline (Student only - own posts)
+app.patch(
+  "/api/tuitions/:id/deadline",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const tuitionId = req.params.id;
+      const { applicationDeadline } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(tuitionId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition ID",
+        });
+      }
+
+      const newDeadline = new Date(applicationDeadline);
+      if (!applicationDeadline || isNaN(newDeadline.getTime())) {
+        return res.status(400).send({
+          success: false,
+          error: "A valid application deadline is required",
+        });
+      }
+
+      if (newDeadline <= new Date()) {
+        return res.status(400).send({
+          success: false,
+          error: "The new deadline must be in the future",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(tuitionId),
+        studentId: student._id,
+      });
+
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found or you don't have permission",
+        });
+      }
+
+      if (!["active", "expired"].includes(tuition.status)) {
+        return res.status(400).send({
+          success: false,
+          error:
+            "Only active or expired posts can have their deadline extended",
+        });
+      }
+
+      if (tuition.status === "expired") {
+        const transition = await transitionTuition(
+          tuitionsCollection,
+          tuition,
+          "active",
+          {
+            role: "student",
+            actorId: student._id,
+            reason: "Application deadline extended",
+            set: { applicationDeadline: newDeadline },
+            unset: { expiredAt: "" },
+          },
+        );
+
+        if (!transition.success) {
+          return res.status(400).send({
+            success: false,
+            error: transition.error,
+            code: transition.code,
+          });
+        }
+      } else {
+        await tuitionsCollection.updateOne(
+          { _id: tuition._id },
+          {
+            $set: { applicationDeadline: newDeadline, updatedAt: new Date() },
+          },
+        );
+      }
+
+      // Reopening an expired post gives its closed applications another chance
+      if (tuition.status === "expired") {
+        await applicationsCollection.updateMany(
+          {
+            tuitionPostId: tuition._id,
+            status: "closed",
+            closedReason: "deadline_passed",
+          },
+          {
+            $set: { status: "pending", updatedAt: new Date() },
+            $unset: { closedReason: "" },
+          },
+        );
+      }
+
+      console.log(`✅ Deadline extended for tuition: ${tuitionId} by ${email}`);
+      res.send({
+        success: true,
+        message:
+          tuition.status === "expired"
+            ? "Deadline extended and post reopened"
+            : "Deadline extended successfully",
+      });
+    } catch (error) {
+      console.error("Error extending deadline:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
 // DELETE - Delete tuition post (Student only - own posts)
 app.delete(
   "/api/tuitions/:id",
@@ -1402,8 +2521,12 @@ app.delete(
         });
       }
 
-      // ❌ Cannot delete if status is ongoing or completed
-      if (tuition.status === "ongoing" || tuition.status === "completed") {
+      // ❌ Cannot delete if status is ongoing or completed, or a tutor is hired
+      if (
+        tuition.status === "ongoing" ||
+        tuition.status === "completed" ||
+        tuition.tutorIds?.length > 0
+      ) {
         return res.status(400).send({
           success: false,
           error: "Cannot delete an ongoing or completed tuition",
@@ -1415,22 +2538,39 @@ app.delete(
         tuitionPostId: new ObjectId(tuitionId),
       });
 
-      let result;
       if (applications > 0) {
-        // Soft delete - just mark as deleted
-        result = await tuitionsCollection.updateOne(
-          { _id: new ObjectId(tuitionId) },
-          {
-            $set: {
-              status: "deleted",
-              deletedAt: new Date(),
-              updatedAt: new Date(),
+        // Soft delete - cancel the post and keep it for the applicants' history
+        if (tuition.status === "cancelled") {
+          await tuitionsCollection.updateOne(
+            { _id: tuition._id },
+            { $set: { deletedAt: new Date(), updatedAt: new Date() } },
+          );
+        } else {
+          const transition = await transitionTuition(
+            tuitionsCollection,
+            tuition,
+            "cancelled",
+            {
+              role: "student",
+              actorId: student._id,
+              reason: "Deleted by student",
+              set: { deletedAt: new Date() },
             },
-          },
-        );
+          );
+
+          if (!transition.success) {
+            return res.status(400).send({
+              success: false,
+              error: transition.error,
+              code: transition.code,
+            });
+          }
+
+          await closePendingApplications(tuition._id, "tuition_cancelled");
+        }
       } else {
         // No applications, hard delete
-        result = await tuitionsCollection.deleteOne({
+        await tuitionsCollection.deleteOne({
           _id: new ObjectId(tuitionId),
         });
       }
@@ -1505,11 +2645,153 @@ app.get(
   },
 );
 
-// PATCH - Approve/Reject application
-app.patch(
-  "/api/applications/:applicationId/:action",
-  ensureDBConnection, // action = "approve" or "reject"
-  verifyToken,
+// Applications per 100 views. Both totals and the period count views the
+// same way (one per viewer per day), so the two rates compare.
+function conversionRate(applications, views) {
+  return views ? Math.round((applications / views) * 10000) / 100 : 0;
+}
+
+// GET - Views and applications over time for one of my posts (Student only)
+app.get(
+  "/api/student/tuitions/:tuitionId/analytics",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { tuitionId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(tuitionId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition ID",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(tuitionId),
+        studentId: student._id,
+      });
+
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found",
+        });
+      }
+
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+      const startDate = new Date();
+      startDate.setUTCHours(0, 0, 0, 0);
+      startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+      const startDay = startDate.toISOString().slice(0, 10);
+
+      const [viewsByDay, applicationsByDay, uniqueViewers, totalApplications] =
+        await Promise.all([
+          tuitionViewsCollection
+            .aggregate([
+              { $match: { tuitionId: tuition._id, day: { $gte: startDay } } },
+              { $group: { _id: "$day", count: { $sum: 1 } } },
+            ])
+            .toArray(),
+          applicationsCollection
+            .aggregate([
+              {
+                $match: {
+                  tuitionPostId: tuition._id,
+                  appliedAt: { $gte: startDate },
+                },
+              },
+              {
+                $group: {
+                  _id: {
+                    $dateToString: { format: "%Y-%m-%d", date: "$appliedAt" },
+                  },
+                  count: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray(),
+          tuitionViewsCollection.distinct("viewerKey", {
+            tuitionId: tuition._id,
+            day: { $gte: startDay },
+          }),
+          applicationsCollection.countDocuments({
+            tuitionPostId: tuition._id,
+          }),
+        ]);
+
+      // One entry per day, including days with no activity
+      const viewCounts = new Map(viewsByDay.map((d) => [d._id, d.count]));
+      const applicationCounts = new Map(
+        applicationsByDay.map((d) => [d._id, d.count]),
+      );
+      const series = [];
+      for (let i = 0; i < days; i++) {
+        const date = new Date(startDate);
+        date.setUTCDate(startDate.getUTCDate() + i);
+        const day = date.toISOString().slice(0, 10);
+        series.push({
+          date: day,
+          views: viewCounts.get(day) || 0,
+          applications: applicationCounts.get(day) || 0,
+        });
+      }
+
+      const rangeViews = series.reduce((sum, d) => sum + d.views, 0);
+      const rangeApplications = series.reduce(
+        (sum, d) => sum + d.applications,
+        0,
+      );
+
+      res.send({
+        success: true,
+        data: {
+          tuitionId: tuition._id,
+          range: { days, from: startDay },
+          totals: {
+            views: tuition.views || 0,
+            applications: totalApplications,
+            conversionRate: conversionRate(
+              totalApplications,
+              tuition.views || 0,
+            ),
+          },
+          period: {
+            views: rangeViews,
+            uniqueViewers: uniqueViewers.length,
+            applications: rangeApplications,
+            conversionRate: conversionRate(rangeApplications, rangeViews),
+          },
+          series,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching tuition analytics:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Approve/Reject application
+app.patch(
+  "/api/applications/:applicationId/:action",
+  ensureDBConnection, // action = "approve" or "reject"
+  verifyToken,
   verifyRole(["student"]),
   async (req, res) => {
     try {
@@ -1572,6 +2854,7 @@ app.patch(
         });
       } else {
         // Reject application
+        await closeOpenTrials({ _id: application._id }, "cancelled");
         await applicationsCollection.updateOne(
           { _id: new ObjectId(applicationId) },
           { $set: { status: "rejected", updatedAt: new Date() } },
@@ -1580,6 +2863,13 @@ app.patch(
           { _id: application.tuitionPostId },
           { $inc: { applicants: -1 } },
         );
+        await createNotification({
+          userId: application.tutorId,
+          type: "application_rejected",
+          title: "Application not selected",
+          message: `Your application for "${tuition.title}" was not selected`,
+          data: { tuitionId: tuition._id, applicationId: application._id },
+        });
         res.send({
           success: true,
           message: "Application rejected successfully",
@@ -1599,6 +2889,195 @@ app.patch(
 // ==================================================
 // ==================================================
 
+// What happens when a post's class times overlap tuitions the tutor already
+// teaches: "warn" (default) applies and flags the overlap, "block" refuses
+const SCHEDULE_CONFLICT_POLICY =
+  process.env.SCHEDULE_CONFLICT_POLICY === "block" ? "block" : "warn";
+
+/**
+ * Apply `tutor` to a tuition - the one path every application goes through,
+ * whether the tutor applied directly or accepted an invitation. An open
+ * invitation to the post is marked accepted either way.
+ * Returns { success: true, application, conflicts } or
+ * { success: false, status, error, code?, conflicts? } for the route to send.
+ */
+async function applyToTuition(
+  tutor,
+  tuitionId,
+  { qualifications, experience, expectedSalary },
+) {
+  // Check tutor status
+  if (tutor.status !== "active") {
+    return {
+      success: false,
+      status: 403,
+      error: "Your account is not active yet. Please wait for admin approval.",
+      code: "ACCOUNT_INACTIVE",
+    };
+  }
+
+  // Validate required fields
+  if (
+    !tuitionId ||
+    !qualifications ||
+    experience === undefined ||
+    !expectedSalary
+  ) {
+    return {
+      success: false,
+      status: 400,
+      error: "All fields are required",
+    };
+  }
+
+  // Check if tuition exists and is active
+  if (!ObjectId.isValid(tuitionId)) {
+    return {
+      success: false,
+      status: 400,
+      error: "Invalid tuition ID",
+    };
+  }
+
+  const tuition = await tuitionsCollection.findOne({
+    _id: new ObjectId(tuitionId),
+    status: "active",
+  });
+
+  if (!tuition) {
+    return {
+      success: false,
+      status: 404,
+      error: "Tuition not found or not available for applications",
+    };
+  }
+
+  // Deadline check - the sweeper may not have expired the post yet
+  if (tuition.applicationDeadline && tuition.applicationDeadline < new Date()) {
+    return {
+      success: false,
+      status: 400,
+      error: "The application deadline for this tuition has passed",
+      code: "DEADLINE_PASSED",
+    };
+  }
+
+  // Check if already applied
+  const existingApplication = await applicationsCollection.findOne({
+    tuitionPostId: tuition._id,
+    tutorId: tutor._id,
+  });
+
+  if (existingApplication) {
+    return {
+      success: false,
+      status: 400,
+      error: "You have already applied to this tuition",
+    };
+  }
+
+  // Class times that clash with tuitions the tutor already teaches
+  const conflicts = findConflicts(
+    tuition.schedule?.slots,
+    await getTutorBusySlots(tutor._id),
+  ).map(({ day, start, end, with: taken }) => ({
+    day,
+    start,
+    end,
+    tuitionId: taken.tuitionId,
+    title: taken.title,
+  }));
+
+  if (conflicts.length > 0 && SCHEDULE_CONFLICT_POLICY === "block") {
+    return {
+      success: false,
+      status: 409,
+      error: "This tuition's schedule overlaps a tuition you already teach",
+      code: "SCHEDULE_CONFLICT",
+      conflicts,
+    };
+  }
+
+  const invitation = await invitationsCollection.findOne({
+    tuitionId: tuition._id,
+    tutorId: tutor._id,
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+  const invitationId = invitation?._id;
+
+  const newApplication = {
+    tuitionPostId: tuition._id,
+    tutorId: tutor._id,
+    tutorName: tutor.name,
+    tutorEmail: tutor.email,
+    tutorPhoto: tutor.photoURL,
+    qualifications,
+    experience: Number(experience),
+    expectedSalary: Number(expectedSalary),
+    status: "pending", // pending, approved, rejected
+    ...(invitationId && { invitationId }),
+    // Only the overlapping times - the student doesn't see the other tuition
+    ...(conflicts.length > 0 && {
+      scheduleConflicts: conflicts.map(({ day, start, end }) => ({
+        day,
+        start,
+        end,
+      })),
+    }),
+    appliedAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const result = await applicationsCollection.insertOne(newApplication);
+
+  // Update tuition applicants count
+  await tuitionsCollection.updateOne(
+    { _id: tuition._id },
+    { $inc: { applicants: 1 } },
+  );
+
+  if (invitationId) {
+    await invitationsCollection.updateOne(
+      { _id: invitationId, status: "pending" },
+      {
+        $set: {
+          status: "accepted",
+          applicationId: result.insertedId,
+          respondedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      },
+    );
+  }
+
+  await createNotification({
+    userId: tuition.studentId,
+    type: "application_received",
+    title: invitationId ? "Invitation accepted" : "New application",
+    message: invitationId
+      ? `${tutor.name} accepted your invitation to "${tuition.title}"`
+      : `${tutor.name} applied to "${tuition.title}"`,
+    data: { tuitionId: tuition._id, applicationId: result.insertedId },
+  });
+
+  const student = await usersCollection.findOne({ _id: tuition.studentId });
+  await sendEmail(student, "newApplicant", {
+    tuition,
+    application: newApplication,
+  });
+
+  console.log(
+    `✅ New application by tutor: ${tutor.email} for tuition: ${tuitionId}`,
+  );
+
+  return {
+    success: true,
+    application: { ...newApplication, _id: result.insertedId },
+    conflicts,
+  };
+}
+
 // POST - Apply to a tuition (Tutor only)
 app.post(
   "/api/applications",
@@ -1627,92 +3106,26 @@ app.post(
           error: "Tutor not found",
         });
       }
-      // Get tutor's MongoDB document and check status
-      if (tutor.status !== "active") {
-        return res.status(403).send({
-          success: false,
-          error:
-            "Your account is not active yet. Please wait for admin approval.",
-          code: "ACCOUNT_INACTIVE",
-        });
-      }
-      const { tuitionId, qualifications, experience, expectedSalary } =
-        req.body;
-
-      // Validate required fields
-      if (!tuitionId || !qualifications || !experience || !expectedSalary) {
-        return res.status(400).send({
-          success: false,
-          error: "All fields are required",
-        });
-      }
-
-      // Check if tuition exists and is active
-      if (!ObjectId.isValid(tuitionId)) {
-        return res.status(400).send({
-          success: false,
-          error: "Invalid tuition ID",
-        });
-      }
-
-      const tuition = await tuitionsCollection.findOne({
-        _id: new ObjectId(tuitionId),
-        status: "active",
-      });
-
-      if (!tuition) {
-        return res.status(404).send({
-          success: false,
-          error: "Tuition not found or not available for applications",
-        });
-      }
-
-      // Check if already applied
-      const existingApplication = await applicationsCollection.findOne({
-        tuitionPostId: new ObjectId(tuitionId),
-        tutorId: tutor._id,
-      });
-
-      if (existingApplication) {
-        return res.status(400).send({
-          success: false,
-          error: "You have already applied to this tuition",
-        });
-      }
-
-      // Check if tutor is the one who posted (can't apply to own tuition if student)
-      // Actually tutor and student are different collections, so no need
 
-      const newApplication = {
-        tuitionPostId: new ObjectId(tuitionId),
-        tutorId: tutor._id,
-        tutorName: tutor.name,
-        tutorEmail: email,
-        tutorPhoto: tutor.photoURL,
-        qualifications,
-        experience: Number(experience),
-        expectedSalary: Number(expectedSalary),
-        status: "pending", // pending, approved, rejected
-        appliedAt: new Date(),
-        updatedAt: new Date(),
-      };
-
-      const result = await applicationsCollection.insertOne(newApplication);
-
-      // Update tuition applicants count
-      await tuitionsCollection.updateOne(
-        { _id: new ObjectId(tuitionId) },
-        { $inc: { applicants: 1 } },
+      const { tuitionId, ...details } = req.body;
+      const { status, ...result } = await applyToTuition(
+        tutor,
+        tuitionId,
+        details,
       );
 
-      console.log(
-        `✅ New application by tutor: ${email} for tuition: ${tuitionId}`,
-      );
+      if (!result.success) {
+        return res.status(status).send(result);
+      }
 
       res.status(201).send({
         success: true,
-        message: "Application submitted successfully",
-        data: { ...newApplication, _id: result.insertedId },
+        message:
+          result.conflicts.length > 0
+            ? "Application submitted - note that its schedule overlaps a tuition you already teach"
+            : "Application submitted successfully",
+        data: result.application,
+        conflicts: result.conflicts,
       });
     } catch (error) {
       console.error("Error submitting application:", error);
@@ -1784,6 +3197,7 @@ app.get(
               experience: 1,
               expectedSalary: 1,
               status: 1,
+              trial: 1,
               appliedAt: 1,
               updatedAt: 1,
               "tuition._id": 1,
@@ -2014,20 +3428,20 @@ app.get(
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       // Find all tuitions where this tutor is assigned AND status is ongoing
+      // (a multi-slot post stays active until all its slots are filled)
+      const filter = {
+        tutorIds: tutor._id,
+        status: { $in: ["active", "ongoing"] },
+      };
+
       const tuitions = await tuitionsCollection
-        .find({
-          tutorId: tutor._id,
-          status: "completed",
-        })
+        .find(filter)
         .sort({ updatedAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .toArray();
 
-      const total = await tuitionsCollection.countDocuments({
-        tutorId: tutor._id,
-        status: "completed",
-      });
+      const total = await tuitionsCollection.countDocuments(filter);
 
       // Get student details for each tuition
       const tuitionsWithStudent = await Promise.all(
@@ -2085,18 +3499,21 @@ app.get(
       const { page = 1, limit = 10 } = req.query;
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
-      // Get all payments where this tutor is the receiver
+      // Get all payments where this tutor is the receiver (refunds included
+      // so the history explains any drop in earnings)
+      const filter = {
+        tutorId: tutor._id,
+        status: { $in: SETTLED_PAYMENT_STATUSES },
+      };
+
       const payments = await paymentsCollection
-        .find({ tutorId: tutor._id, status: "completed" })
+        .find(filter)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .toArray();
 
-      const total = await paymentsCollection.countDocuments({
-        tutorId: tutor._id,
-        status: "completed",
-      });
+      const total = await paymentsCollection.countDocuments(filter);
 
       // Get tuition and student details
       const paymentsWithDetails = await Promise.all(
@@ -2119,14 +3536,56 @@ app.get(
         }),
       );
 
-      // Calculate total earnings
-      const totalEarnings = payments.reduce((sum, p) => sum + p.amount, 0);
+      // Commission and tutor share of each payment on this page
+      const ledgerByPayment = await ledgerEntriesCollection
+        .aggregate([
+          { $match: { paymentId: { $in: payments.map((p) => p._id) } } },
+          {
+            $group: {
+              _id: "$paymentId",
+              commission: { $sum: "$commission" },
+              tutorNet: { $sum: "$net" },
+            },
+          },
+        ])
+        .toArray();
+      const ledgerMap = new Map(
+        ledgerByPayment.map((entry) => [entry._id.toString(), entry]),
+      );
+
+      // Calculate totals across all pages, net of refunds
+      const [totals] = await paymentsCollection
+        .aggregate([
+          { $match: filter },
+          {
+            $group: {
+              _id: null,
+              gross: { $sum: "$amount" },
+              refunded: { $sum: { $ifNull: ["$refundedAmount", 0] } },
+            },
+          },
+        ])
+        .toArray();
+      const ledger = await getTutorLedgerSummary(tutor._id);
 
       res.send({
         success: true,
-        data: paymentsWithDetails,
+        data: paymentsWithDetails.map((payment) => {
+          const entry = ledgerMap.get(payment._id.toString());
+          return {
+            ...payment,
+            netAmount: payment.amount - (payment.refundedAmount || 0),
+            commission: roundMoney(entry?.commission || 0),
+            tutorNet: roundMoney(entry?.tutorNet || 0),
+          };
+        }),
         summary: {
-          totalEarnings,
+          // What the tutor keeps after commission and refunds
+          totalEarnings: ledger.earned,
+          grossAmount: (totals?.gross || 0) - (totals?.refunded || 0),
+          totalCommission: ledger.commission,
+          totalRefunded: totals?.refunded || 0,
+          balance: ledger.balance,
           totalTransactions: total,
           lastPayment: payments[0]?.createdAt || null,
         },
@@ -2195,10 +3654,11 @@ app.get(
         });
       }
 
-      // Check if this tutor is the assigned tutor
+      // Check if this tutor is one of the assigned tutors
       if (
-        !tuition.tutorId ||
-        tuition.tutorId.toString() !== tutor._id.toString()
+        !tuition.tutorIds?.some(
+          (tutorId) => tutorId.toString() === tutor._id.toString(),
+        )
       ) {
         return res.status(403).send({
           success: false,
@@ -2220,16 +3680,61 @@ app.get(
     }
   },
 );
-// ============= Admin - User Management APIs =============
-// =================================================================
-// =================================================================
+// ============= Trial Class APIs =============
+// ============================================
+// ============================================
+
+// Who may take each action, which trial statuses it applies to, and the
+// status it leads to
+const TRIAL_ACTIONS = {
+  accept: { roles: ["tutor"], from: ["proposed"], to: "scheduled" },
+  reject: { roles: ["tutor"], from: ["proposed"], to: "rejected" },
+  cancel: {
+    roles: ["student", "tutor"],
+    from: OPEN_TRIAL_STATUSES,
+    to: "cancelled",
+  },
+  decline: { roles: ["student"], from: ["scheduled"], to: "declined" },
+};
 
-// GET all users (Admin only)
-app.get(
-  "/api/admin/users",
+// An application with its tuition, if `user` is its tutor or the post's
+// student
+async function loadApplicationForTrial(applicationId, user) {
+  if (!ObjectId.isValid(applicationId) || !user) return null;
+
+  const application = await applicationsCollection.findOne({
+    _id: new ObjectId(applicationId),
+  });
+  if (!application) return null;
+  if (user.role === "tutor" && !application.tutorId.equals(user._id)) {
+    return null;
+  }
+
+  const tuition = await tuitionsCollection.findOne({
+    _id: application.tuitionPostId,
+  });
+  if (!tuition) return null;
+  if (user.role === "student" && !tuition.studentId.equals(user._id)) {
+    return null;
+  }
+
+  return { application, tuition };
+}
+
+// Settle any open trial on the matching applications (hire, rejection, ...)
+async function closeOpenTrials(filter, status) {
+  await applicationsCollection.updateMany(
+    { ...filter, "trial.status": { $in: OPEN_TRIAL_STATUSES } },
+    { $set: { "trial.status": status, "trial.closedAt": new Date() } },
+  );
+}
+
+// POST - Propose trial class times on a pending application (Student only)
+app.post(
+  "/api/applications/:id/trial",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["admin"]),
+  verifyRole(["student"]),
   async (req, res) => {
     try {
       const email = req.query.email;
@@ -2239,111 +3744,105 @@ app.get(
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      const { role, status, page = 1, limit = 10, search } = req.query;
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      // Build filter
-      let filter = {};
-      if (role && role !== "all") filter.role = role;
-      if (status && status !== "all") filter.status = status;
-      if (search) {
-        filter.$or = [
-          { name: { $regex: search, $options: "i" } },
-          { email: { $regex: search, $options: "i" } },
-          { phone: { $regex: search, $options: "i" } },
-        ];
+      const student = await usersCollection.findOne({ email });
+      const found = await loadApplicationForTrial(req.params.id, student);
+      if (!found) {
+        return res.status(404).send({
+          success: false,
+          error: "Application not found",
+        });
       }
+      const { application, tuition } = found;
 
-      const users = await usersCollection
-        .find(filter)
-        .project({ password: 0, firebaseUID: 0 })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .toArray();
-
-      const total = await usersCollection.countDocuments(filter);
-
-      res.send({
-        success: true,
-        data: users,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit)),
-        },
-      });
-    } catch (error) {
-      console.error("Error fetching users:", error);
-      res.status(500).send({
-        success: false,
-        error: error.message,
-      });
-    }
-  },
-);
-
-// PATCH - Update user role (Admin only)
-app.patch(
-  "/api/admin/users/:userId/role",
-  ensureDBConnection,
-  verifyToken,
-  verifyRole(["admin"]),
-  async (req, res) => {
-    try {
-      const email = req.query.email;
-      const decoded_email = req.decoded_user?.email;
-      const { userId } = req.params;
-      const { role } = req.body;
+      if (application.status !== "pending" || tuition.status !== "active") {
+        return res.status(400).send({
+          success: false,
+          error: "This application is no longer pending",
+        });
+      }
 
-      if (email !== decoded_email) {
-        return res.status(401).send({
+      if (OPEN_TRIAL_STATUSES.includes(application.trial?.status)) {
+        return res.status(400).send({
           success: false,
-          error: "Forbidden access",
+          error: `A trial class is already ${application.trial.status}`,
+          code: "TRIAL_ALREADY_OPEN",
         });
       }
 
-      if (!["student", "tutor", "admin"].includes(role)) {
+      const tutor = await usersCollection.findOne(
+        { _id: application.tutorId },
+        { projection: { name: 1, trialPolicy: 1 } },
+      );
+      const policy = tutor?.trialPolicy;
+      if (!policy?.offered) {
         return res.status(400).send({
           success: false,
-          error: "Invalid role",
+          error: "This tutor doesn't offer trial classes",
+          code: "TRIAL_NOT_OFFERED",
         });
       }
 
-      if (!ObjectId.isValid(userId)) {
+      const proposal = parseTrialTimes(req.body?.times);
+      if (proposal.error) {
         return res.status(400).send({
           success: false,
-          error: "Invalid user ID",
+          error: proposal.error,
         });
       }
 
-      const result = await usersCollection.updateOne(
-        { _id: new ObjectId(userId) },
+      const now = new Date();
+      const trial = {
+        status: "proposed",
+        times: proposal.times,
+        note: req.body?.note?.trim() || "",
+        type: policy.type,
+        fee: policy.fee, // informational - paid to the tutor directly
+        durationMinutes: policy.durationMinutes,
+        // The tutor has until the last proposed time to answer
+        respondBy: proposal.times[proposal.times.length - 1],
+        proposedAt: now,
+      };
+
+      // Conditional so a concurrent proposal or hire wins
+      const result = await applicationsCollection.updateOne(
         {
-          $set: {
-            role,
-            updatedAt: new Date(),
-          },
+          _id: application._id,
+          status: "pending",
+          "trial.status": { $nin: OPEN_TRIAL_STATUSES },
         },
+        { $set: { trial, updatedAt: now } },
       );
-
-      if (result.matchedCount === 0) {
-        return res.status(404).send({
+      if (result.modifiedCount === 0) {
+        return res.status(409).send({
           success: false,
-          error: "User not found",
+          error: "The application changed in the meantime, please retry",
+          code: "STATUS_CONFLICT",
         });
       }
 
-      res.send({
+      await createNotification({
+        userId: application.tutorId,
+        type: "trial_proposed",
+        title: "Trial class requested",
+        message: `${student.name} would like a trial class for "${tuition.title}"`,
+        data: { tuitionId: tuition._id, applicationId: application._id },
+      });
+
+      console.log(
+        `✅ Trial proposed on application ${application._id} by ${email}`,
+      );
+
+      res.status(201).send({
         success: true,
-        message: "User role updated successfully",
+        message: "Trial class proposed",
+        data: trial,
       });
     } catch (error) {
-      console.error("Error updating user role:", error);
+      console.error("Error proposing trial class:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2352,63 +3851,167 @@ app.patch(
   },
 );
 
-// PATCH - Update user status (Admin only)
+// PATCH - Answer a trial class: accept (with `time`) / reject (Tutor),
+// cancel (either side), decline after the class (Student, with `feedback`)
 app.patch(
-  "/api/admin/users/:userId/status",
+  "/api/applications/:id/trial/:action",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["admin"]),
+  verifyRole(["student", "tutor"]),
   async (req, res) => {
     try {
       const email = req.query.email;
       const decoded_email = req.decoded_user?.email;
-      const { userId } = req.params;
-      const { status } = req.body;
+      const { id, action } = req.params;
 
       if (email !== decoded_email) {
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      if (!["active", "blocked", "pending"].includes(status)) {
+      const user = await usersCollection.findOne({ email });
+      const rule = TRIAL_ACTIONS[action];
+      if (!rule || !rule.roles.includes(user?.role)) {
         return res.status(400).send({
           success: false,
-          error: "Invalid status",
+          error: `Invalid action: ${action}`,
         });
       }
 
-      if (!ObjectId.isValid(userId)) {
+      const found = await loadApplicationForTrial(id, user);
+      if (!found) {
+        return res.status(404).send({
+          success: false,
+          error: "Application not found",
+        });
+      }
+      const { application, tuition } = found;
+      const trial = application.trial;
+
+      if (!trial) {
+        return res.status(404).send({
+          success: false,
+          error: "No trial class has been proposed for this application",
+        });
+      }
+
+      const now = new Date();
+      if (trial.status === "proposed" && trial.respondBy <= now) {
+        await expireTrialProposals({ _id: application._id });
         return res.status(400).send({
           success: false,
-          error: "Invalid user ID",
+          error: "Every proposed time has passed",
+          code: "TRIAL_EXPIRED",
         });
       }
 
-      const result = await usersCollection.updateOne(
-        { _id: new ObjectId(userId) },
+      if (!rule.from.includes(trial.status)) {
+        return res.status(400).send({
+          success: false,
+          error: `This trial class is ${trial.status}`,
+          code: "INVALID_TRANSITION",
+        });
+      }
+
+      const body = req.body || {};
+      const changes = {
+        "trial.status": rule.to,
+        "trial.respondedAt": now,
+        updatedAt: now,
+      };
+
+      if (action === "accept") {
+        const wanted = new Date(body.time);
+        const scheduledAt = trial.times.find(
+          (time) => time.getTime() === wanted.getTime(),
+        );
+        if (!scheduledAt || scheduledAt <= now) {
+          return res.status(400).send({
+            success: false,
+            error: "time must be one of the proposed times still ahead",
+          });
+        }
+        changes["trial.scheduledAt"] = scheduledAt;
+      } else if (action === "decline") {
+        const feedback = body.feedback?.trim();
+        if (!feedback) {
+          return res.status(400).send({
+            success: false,
+            error: "Feedback is required",
+          });
+        }
+        if (trialEndsAt(trial) > now) {
+          return res.status(400).send({
+            success: false,
+            error: "The trial class hasn't taken place yet",
+            code: "TRIAL_NOT_HELD",
+          });
+        }
+        changes["trial.feedback"] = feedback;
+        changes["trial.closedAt"] = now;
+        changes.status = "rejected";
+      } else {
+        changes["trial.reason"] = body.reason?.trim() || "";
+        if (action === "cancel") changes["trial.cancelledBy"] = user.role;
+      }
+
+      // Conditional on the trial and application status so concurrent
+      // answers (or a hire) don't overwrite each other
+      const result = await applicationsCollection.updateOne(
         {
-          $set: {
-            status,
-            updatedAt: new Date(),
-          },
+          _id: application._id,
+          status: "pending",
+          "trial.status": trial.status,
         },
+        { $set: changes },
       );
-
-      if (result.matchedCount === 0) {
-        return res.status(404).send({
+      if (result.modifiedCount === 0) {
+        return res.status(409).send({
           success: false,
-          error: "User not found",
+          error: "The application changed in the meantime, please retry",
+          code: "STATUS_CONFLICT",
         });
       }
 
+      // Declining after the trial turns the application down
+      if (action === "decline") {
+        await tuitionsCollection.updateOne(
+          { _id: tuition._id },
+          { $inc: { applicants: -1 } },
+        );
+      }
+
+      const toTutor = user.role === "student";
+      const messages = {
+        accept: `${user.name} confirmed a trial class for "${tuition.title}" on ${changes["trial.scheduledAt"]?.toISOString()}`,
+        reject: `${user.name} can't make the proposed trial times for "${tuition.title}" - propose others`,
+        cancel: `${user.name} cancelled the trial class for "${tuition.title}"`,
+        decline: `${user.name} decided not to continue after the trial for "${tuition.title}": ${changes["trial.feedback"]}`,
+      };
+      await createNotification({
+        userId: toTutor ? application.tutorId : tuition.studentId,
+        type: `trial_${rule.to}`,
+        title: `Trial class ${rule.to}`,
+        message: messages[action],
+        data: { tuitionId: tuition._id, applicationId: application._id },
+      });
+
+      console.log(
+        `✅ Trial on application ${application._id} ${rule.to} by ${email}`,
+      );
+
       res.send({
         success: true,
-        message: "User status updated successfully",
+        message:
+          action === "accept"
+            ? "Trial class scheduled"
+            : `Trial class ${rule.to}`,
       });
     } catch (error) {
-      console.error("Error updating user status:", error);
+      console.error("Error answering trial class:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2417,67 +4020,101 @@ app.patch(
   },
 );
 
-// DELETE - Delete user (Admin only)
-app.delete(
-  "/api/admin/users/:userId",
+// ============= Recommendation APIs =============
+// =============================================
+// =============================================
+
+// How many candidates are scored per request; the rest are never ranked
+const MATCH_CANDIDATE_LIMIT = 500;
+
+// Case-insensitive patterns for the words of the given subjects, so
+// candidates are narrowed to related subjects before scoring
+function subjectWordPatterns(subjects) {
+  const words = new Set(
+    subjects
+      .flatMap((subject) => String(subject || "").split(/[^\p{L}\p{N}]+/u))
+      .filter((word) => word.length >= 3)
+      .map((word) => word.toLowerCase()),
+  );
+  return [...words].map((word) => new RegExp(escapeRegex(word), "i"));
+}
+
+// One page of ranked matches, as { data, total, page, totalPages }
+function pageOfMatches(ranked, query, toResult) {
+  const pageNumber = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.limit) || 10, 1), 50);
+  const start = (pageNumber - 1) * pageSize;
+
+  return {
+    data: ranked.slice(start, start + pageSize).map(toResult),
+    total: ranked.length,
+    page: pageNumber,
+    totalPages: Math.ceil(ranked.length / pageSize),
+  };
+}
+
+// GET - Tuitions recommended for the logged-in tutor (Tutor only)
+app.get(
+  "/api/tutor/recommended-tuitions",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["admin"]),
+  verifyRole(["tutor"]),
   async (req, res) => {
     try {
       const email = req.query.email;
       const decoded_email = req.decoded_user?.email;
-      const { userId } = req.params;
 
       if (email !== decoded_email) {
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      if (!ObjectId.isValid(userId)) {
-        return res.status(400).send({
+      const tutor = await usersCollection.findOne({ email });
+      if (!tutor) {
+        return res.status(404).send({
           success: false,
-          error: "Invalid user ID",
+          error: "Tutor not found",
         });
       }
 
-      // Check if user has any related data
-      const applications = await applicationsCollection.countDocuments({
+      // Open posts the tutor hasn't applied to yet
+      const appliedIds = await applicationsCollection.distinct(
+        "tuitionPostId",
+        { tutorId: tutor._id },
+      );
+      const filter = {
+        status: "active",
+        _id: { $nin: appliedIds },
         $or: [
-          { studentId: new ObjectId(userId) },
-          { tutorId: new ObjectId(userId) },
+          { applicationDeadline: null },
+          { applicationDeadline: { $gt: new Date() } },
         ],
-      });
+      };
+      const patterns = subjectWordPatterns(tutor.subjects || []);
+      if (patterns.length > 0) filter.subject = { $in: patterns };
 
-      const tuitions = await tuitionsCollection.countDocuments({
-        studentId: new ObjectId(userId),
-      });
+      const candidates = await tuitionsCollection
+        .find(filter, { projection: { statusHistory: 0 } })
+        .sort({ posted: -1 })
+        .limit(MATCH_CANDIDATE_LIMIT)
+        .toArray();
 
-      if (applications > 0 || tuitions > 0) {
-        // Soft delete
-        await usersCollection.updateOne(
-          { _id: new ObjectId(userId) },
-          {
-            $set: {
-              status: "deleted",
-              deletedAt: new Date(),
-              updatedAt: new Date(),
-            },
-          },
-        );
-      } else {
-        // Hard delete
-        await usersCollection.deleteOne({ _id: new ObjectId(userId) });
-      }
+      const ranked = rankMatches(candidates, (tuition) => [tutor, tuition], {
+        minScore: parseNumberParam(req.query.minScore) || 0,
+      });
 
       res.send({
         success: true,
-        message: "User deleted successfully",
+        ...pageOfMatches(ranked, req.query, ({ candidate, match }) => ({
+          ...candidate,
+          match,
+        })),
       });
     } catch (error) {
-      console.error("Error deleting user:", error);
+      console.error("Error recommending tuitions:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2486,59 +4123,89 @@ app.delete(
   },
 );
 
-// GET all tuitions for admin (with filters)
+// GET - Tutors recommended for one of the student's posts (Student only)
 app.get(
-  "/api/admin/tuitions",
+  "/api/tuitions/:id/recommended-tutors",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["admin"]),
+  verifyRole(["student"]),
   async (req, res) => {
     try {
       const email = req.query.email;
       const decoded_email = req.decoded_user?.email;
+      const { id } = req.params;
 
       if (email !== decoded_email) {
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      const { status, page = 1, limit = 10, search } = req.query;
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      let filter = {};
-      if (status && status !== "all") filter.status = status;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition ID",
+        });
+      }
 
-      if (search) {
-        filter.$or = [
-          { title: { $regex: search, $options: "i" } },
-          { subject: { $regex: search, $options: "i" } },
-          { location: { $regex: search, $options: "i" } },
-        ];
+      const student = await usersCollection.findOne({ email });
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(id),
+        studentId: student._id,
+      });
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found or you don't have permission",
+        });
       }
 
-      const tuitions = await tuitionsCollection
+      // Active tutors not already hired for this post
+      const filter = {
+        role: "tutor",
+        status: "active",
+        _id: { $nin: tuition.tutorIds || [] },
+      };
+      const patterns = subjectWordPatterns([tuition.subject]);
+      if (patterns.length > 0) filter.subjects = { $in: patterns };
+
+      const candidates = await usersCollection
         .find(filter)
-        .sort({ posted: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
+        .project({
+          password: 0,
+          firebaseUID: 0,
+          payoutMethods: 0,
+          emailPreferences: 0,
+        })
+        .sort({ rating: -1, totalReviews: -1 })
+        .limit(MATCH_CANDIDATE_LIMIT)
         .toArray();
 
-      const total = await tuitionsCollection.countDocuments(filter);
+      const ranked = rankMatches(candidates, (tutor) => [tutor, tuition], {
+        minScore: parseNumberParam(req.query.minScore) || 0,
+      });
+
+      // Flag tutors who already applied, so the student can review them first
+      const appliedIds = new Set(
+        (
+          await applicationsCollection.distinct("tutorId", {
+            tuitionPostId: tuition._id,
+          })
+        ).map((tutorId) => tutorId.toString()),
+      );
 
       res.send({
         success: true,
-        data: tuitions,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit)),
-        },
+        ...pageOfMatches(ranked, req.query, ({ candidate, match }) => ({
+          ...candidate,
+          hasApplied: appliedIds.has(candidate._id.toString()),
+          match,
+        })),
       });
     } catch (error) {
-      console.error("Error fetching tuitions:", error);
+      console.error("Error recommending tutors:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2547,48 +4214,72 @@ app.get(
   },
 );
 
-// PATCH - Approve tuition
-app.patch(
-  "/api/admin/tuitions/:tuitionId/approve",
-  ensureDBConnection,
+// ============= Invitation APIs =============
+// =============================================
+// =============================================
+
+// Students invite tutors to their active posts. An invitation is pending
+// until the tutor accepts it (which applies them through applyToTuition),
+// declines it, the student cancels it, or it expires.
+const INVITATION_EXPIRY_DAYS = Number(process.env.INVITATION_EXPIRY_DAYS) || 7;
+const INVITATION_DAILY_LIMIT = Number(process.env.INVITATION_DAILY_LIMIT) || 10;
+
+// Who may take each action, and the status it leads to
+const INVITATION_ACTIONS = {
+  accept: { role: "tutor", to: "accepted" },
+  decline: { role: "tutor", to: "declined" },
+  cancel: { role: "student", to: "cancelled" },
+};
+
+// GET - A tutor's week: available, busy (hired tuitions, times only) and
+// free slots per day, for students to check before inviting
+app.get(
+  "/api/tutors/:id/calendar",
+  ensureDBConnection,
   verifyToken,
-  verifyRole(["admin"]),
   async (req, res) => {
     try {
-      const email = req.query.email;
-      const decoded_email = req.decoded_user?.email;
-      const { tuitionId } = req.params;
-
-      if (email !== decoded_email) {
-        return res.status(401).send({
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({
           success: false,
-          error: "Forbidden access",
+          error: "Invalid tutor ID",
         });
       }
 
-      const result = await tuitionsCollection.updateOne(
-        { _id: new ObjectId(tuitionId) },
-        {
-          $set: {
-            status: "active",
-            updatedAt: new Date(),
-          },
-        },
+      const tutor = await usersCollection.findOne(
+        { _id: new ObjectId(id), role: "tutor" },
+        { projection: { availability: 1 } },
       );
-
-      if (result.matchedCount === 0) {
+      if (!tutor) {
         return res.status(404).send({
           success: false,
-          error: "Tuition not found",
+          error: "Tutor not found",
         });
       }
 
+      const available = tutor.availability?.slots || [];
+      const busy = await getTutorBusySlots(tutor._id);
+      const free = subtractSlots(available, busy);
+      const onDay = (slots, day) =>
+        slots
+          .filter((slot) => slot.day === day)
+          .map(({ start, end }) => ({ start, end }));
+
       res.send({
         success: true,
-        message: "Tuition approved successfully",
+        data: {
+          hasAvailability: available.length > 0,
+          days: DAY_KEYS.map((day) => ({
+            day,
+            available: onDay(available, day),
+            busy: onDay(busy, day),
+            free: onDay(free, day),
+          })),
+        },
       });
     } catch (error) {
-      console.error("Error approving tuition:", error);
+      console.error("Error fetching tutor calendar:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2597,48 +4288,172 @@ app.patch(
   },
 );
 
-// PATCH - Reject tuition
-app.patch(
-  "/api/admin/tuitions/:tuitionId/reject",
+// POST - Invite a tutor to one of my active posts (Student only)
+app.post(
+  "/api/tutors/:id/invitations",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["admin"]),
+  verifyRole(["student"]),
   async (req, res) => {
     try {
       const email = req.query.email;
       const decoded_email = req.decoded_user?.email;
-      const { tuitionId } = req.params;
+      const { id } = req.params;
+      const { tuitionId, message } = req.body;
 
       if (email !== decoded_email) {
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      const result = await tuitionsCollection.updateOne(
-        { _id: new ObjectId(tuitionId) },
-        {
-          $set: {
-            status: "rejected",
-            updatedAt: new Date(),
-          },
-        },
-      );
+      if (!ObjectId.isValid(id) || !ObjectId.isValid(tuitionId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tutor or tuition ID",
+        });
+      }
 
-      if (result.matchedCount === 0) {
+      const student = await usersCollection.findOne({ email });
+      const tutor = await usersCollection.findOne({
+        _id: new ObjectId(id),
+        role: "tutor",
+        status: "active",
+      });
+      if (!tutor) {
         return res.status(404).send({
           success: false,
-          error: "Tuition not found",
+          error: "Tutor not found",
         });
       }
 
-      res.send({
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(tuitionId),
+        studentId: student._id,
+      });
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found or you don't have permission",
+        });
+      }
+
+      if (tuition.status !== "active") {
+        return res.status(400).send({
+          success: false,
+          error: "Only active posts can be shared with tutors",
+          code: "INVALID_STATUS",
+        });
+      }
+
+      const now = new Date();
+      if (tuition.applicationDeadline && tuition.applicationDeadline < now) {
+        return res.status(400).send({
+          success: false,
+          error: "The application deadline for this tuition has passed",
+          code: "DEADLINE_PASSED",
+        });
+      }
+
+      const alreadyApplied = await applicationsCollection.findOne({
+        tuitionPostId: tuition._id,
+        tutorId: tutor._id,
+      });
+      if (alreadyApplied) {
+        return res.status(400).send({
+          success: false,
+          error: "This tutor has already applied to your post",
+          code: "ALREADY_APPLIED",
+        });
+      }
+
+      // A tutor who turned this post down isn't asked about it again
+      const declined = await invitationsCollection.findOne({
+        tuitionId: tuition._id,
+        tutorId: tutor._id,
+        status: "declined",
+      });
+      if (declined) {
+        return res.status(400).send({
+          success: false,
+          error: "This tutor has declined an invitation to this post",
+          code: "INVITATION_DECLINED",
+        });
+      }
+
+      // Rolling 24 hours, so the limit can't be doubled around midnight
+      const sentToday = await invitationsCollection.countDocuments({
+        studentId: student._id,
+        createdAt: { $gte: addDays(now, -1) },
+      });
+      if (sentToday >= INVITATION_DAILY_LIMIT) {
+        return res.status(429).send({
+          success: false,
+          error: `You can send up to ${INVITATION_DAILY_LIMIT} invitations a day`,
+          code: "INVITE_LIMIT_REACHED",
+        });
+      }
+
+      // A stale pending invitation mustn't block a new one
+      await expireInvitations({ tuitionId: tuition._id, tutorId: tutor._id });
+
+      // Never outlives the post's application deadline
+      let expiresAt = addDays(now, INVITATION_EXPIRY_DAYS);
+      if (
+        tuition.applicationDeadline &&
+        tuition.applicationDeadline < expiresAt
+      ) {
+        expiresAt = tuition.applicationDeadline;
+      }
+
+      const invitation = {
+        tuitionId: tuition._id,
+        studentId: student._id,
+        tutorId: tutor._id,
+        message: message?.trim() || "",
+        status: "pending",
+        expiresAt,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      try {
+        const result = await invitationsCollection.insertOne(invitation);
+        invitation._id = result.insertedId;
+      } catch (error) {
+        // Unique (tuitionId, tutorId) among pending invitations
+        if (error.code === 11000) {
+          return res.status(400).send({
+            success: false,
+            error: "This tutor already has a pending invitation to this post",
+            code: "ALREADY_INVITED",
+          });
+        }
+        throw error;
+      }
+
+      await createNotification({
+        userId: tutor._id,
+        type: "tuition_invitation",
+        title: "You're invited",
+        message: `${student.name} invited you to "${tuition.title}"`,
+        data: { tuitionId: tuition._id, invitationId: invitation._id },
+      });
+      await sendEmail(tutor, "tuitionInvitation", {
+        tuition,
+        student,
+        invitation,
+      });
+
+      res.status(201).send({
         success: true,
-        message: "Tuition rejected successfully",
+        message: "Invitation sent",
+        data: invitation,
       });
     } catch (error) {
-      console.error("Error rejecting tuition:", error);
+      console.error("Error sending invitation:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2647,161 +4462,107 @@ app.patch(
   },
 );
 
-// GET - Reports data
+// GET - Invitations I sent (student) or received (tutor)
 app.get(
-  "/api/admin/reports",
+  "/api/invitations",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["admin"]),
+  verifyRole(["student", "tutor"]),
   async (req, res) => {
     try {
       const email = req.query.email;
       const decoded_email = req.decoded_user?.email;
-      const { range = "month", page = 1, limit = 10 } = req.query;
 
       if (email !== decoded_email) {
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      // Date range calculation
-      const now = new Date();
-      let startDate = new Date();
-      if (range === "week") startDate.setDate(now.getDate() - 7);
-      else if (range === "month") startDate.setMonth(now.getMonth() - 1);
-      else if (range === "year") startDate.setFullYear(now.getFullYear() - 1);
+      const user = await usersCollection.findOne({ email });
+      if (!user) {
+        return res.status(404).send({
+          success: false,
+          error: "User not found",
+        });
+      }
 
-      // Stats
-      const [totalEarnings, totalUsers, totalTuitions, totalApplications] =
-        await Promise.all([
-          paymentsCollection
-            .aggregate([
-              { $match: { status: "completed" } },
-              { $group: { _id: null, total: { $sum: "$amount" } } },
-            ])
-            .toArray(),
-          usersCollection.countDocuments(),
-          tuitionsCollection.countDocuments(),
-          applicationsCollection.countDocuments(),
-        ]);
+      const isTutor = user.role === "tutor";
+      const filter = isTutor ? { tutorId: user._id } : { studentId: user._id };
+      await expireInvitations(filter);
 
-      // Role distribution
-      const roleDistribution = await usersCollection
-        .aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }])
-        .toArray();
+      const { status, page = 1, limit = 10 } = req.query;
+      if (status && status !== "all") filter.status = status;
 
-      // Chart data
-      const chartData = await paymentsCollection
-        .aggregate([
-          {
-            $match: {
-              status: "completed",
-              createdAt: { $gte: startDate },
-            },
-          },
-          {
-            $group: {
-              _id: {
-                $dateToString: {
-                  format: range === "year" ? "%Y-%m" : "%Y-%m-%d",
-                  date: "$createdAt",
-                },
-              },
-              earnings: { $sum: "$amount" },
-            },
-          },
-          { $sort: { _id: 1 } },
-          { $limit: 30 },
-        ])
-        .toArray();
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
 
-      // Recent transactions with pagination
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const transactions = await paymentsCollection
-        .aggregate([
-          { $match: { status: "completed" } },
-          { $sort: { createdAt: -1 } },
-          { $skip: skip },
-          { $limit: parseInt(limit) },
-          {
-            $lookup: {
-              from: "users",
-              localField: "studentId",
-              foreignField: "_id",
-              as: "student",
-            },
-          },
-          {
-            $lookup: {
-              from: "users",
-              localField: "tutorId",
-              foreignField: "_id",
-              as: "tutor",
+      const [invitations, total] = await Promise.all([
+        invitationsCollection
+          .aggregate([
+            { $match: filter },
+            { $sort: { createdAt: -1 } },
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize },
+            {
+              $lookup: {
+                from: "tuitions",
+                localField: "tuitionId",
+                foreignField: "_id",
+                as: "tuition",
+                pipeline: [
+                  {
+                    $project: {
+                      title: 1,
+                      subject: 1,
+                      class: 1,
+                      location: 1,
+                      area: 1,
+                      minBudget: 1,
+                      maxBudget: 1,
+                      status: 1,
+                    },
+                  },
+                ],
+              },
             },
-          },
-          {
-            $lookup: {
-              from: "tuitions",
-              localField: "tuitionId",
-              foreignField: "_id",
-              as: "tuition",
+            {
+              // The other side of the invitation
+              $lookup: {
+                from: "users",
+                localField: isTutor ? "studentId" : "tutorId",
+                foreignField: "_id",
+                as: isTutor ? "student" : "tutor",
+                pipeline: [{ $project: { name: 1, photoURL: 1 } }],
+              },
             },
-          },
-          {
-            $project: {
-              _id: 1,
-              createdAt: 1,
-              amount: 1,
-              studentName: { $arrayElemAt: ["$student.name", 0] },
-              tutorName: { $arrayElemAt: ["$tutor.name", 0] },
-              tuitionTitle: { $arrayElemAt: ["$tuition.title", 0] },
+            {
+              $set: {
+                tuition: { $first: "$tuition" },
+                [isTutor ? "student" : "tutor"]: {
+                  $first: isTutor ? "$student" : "$tutor",
+                },
+              },
             },
-          },
-        ])
-        .toArray();
-
-      const totalTransactions = await paymentsCollection.countDocuments({
-        status: "completed",
-      });
+          ])
+          .toArray(),
+        invitationsCollection.countDocuments(filter),
+      ]);
 
       res.send({
         success: true,
-        stats: {
-          totalEarnings: totalEarnings[0]?.total || 0,
-          earningsGrowth: 12, // You can calculate actual growth
-          totalUsers,
-          activeUsers: await usersCollection.countDocuments({
-            status: "active",
-          }),
-          totalTuitions,
-          activeTuitions: await tuitionsCollection.countDocuments({
-            status: "active",
-          }),
-          totalApplications,
-          pendingApplications: await applicationsCollection.countDocuments({
-            status: "pending",
-          }),
-        },
-        chartData: chartData.map((d) => ({
-          name: d._id,
-          earnings: d.earnings,
-        })),
-        roleDistribution: roleDistribution.map((r) => ({
-          name: r._id,
-          value: r.count,
-        })),
-        recentTransactions: transactions,
-        transactionPagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalTransactions,
-          pages: Math.ceil(totalTransactions / parseInt(limit)),
+        data: invitations,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize),
         },
       });
     } catch (error) {
-      console.error("Error fetching reports:", error);
+      console.error("Error fetching invitations:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2810,71 +4571,154 @@ app.get(
   },
 );
 
-// ============= Payment APIs =============
-
-// POST - Create payment intent
-app.post(
-  "/api/create-payment-intent",
+// PATCH - Accept / decline (tutor) or cancel (student) a pending invitation.
+// Accepting applies with `qualifications`, `experience` and `expectedSalary`
+// from the body, falling back to the tutor's profile.
+app.patch(
+  "/api/invitations/:id/:action",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["student"]),
+  verifyRole(["student", "tutor"]),
   async (req, res) => {
     try {
-      const { applicationId } = req.body;
       const email = req.query.email;
       const decoded_email = req.decoded_user?.email;
+      const { id, action } = req.params;
 
       if (email !== decoded_email) {
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      // Get application details
-      const application = await applicationsCollection.findOne({
-        _id: new ObjectId(applicationId),
-      });
+      const user = await usersCollection.findOne({ email });
+      const rule = INVITATION_ACTIONS[action];
+      if (!rule || rule.role !== user?.role) {
+        return res.status(400).send({
+          success: false,
+          error: `Invalid action: ${action}`,
+        });
+      }
 
-      if (!application) {
-        return res.status(404).send({
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({
           success: false,
-          error: "Application not found",
+          error: "Invalid invitation ID",
         });
       }
 
-      // Verify student owns this tuition
-      const student = await usersCollection.findOne({ email });
-      const tuition = await tuitionsCollection.findOne({
-        _id: application.tuitionPostId,
-        studentId: student._id,
+      const invitation = await invitationsCollection.findOne({
+        _id: new ObjectId(id),
+        [user.role === "tutor" ? "tutorId" : "studentId"]: user._id,
       });
+      if (!invitation) {
+        return res.status(404).send({
+          success: false,
+          error: "Invitation not found",
+        });
+      }
 
-      if (!tuition) {
-        return res.status(403).send({
+      const now = new Date();
+      if (invitation.status === "pending" && invitation.expiresAt <= now) {
+        await expireInvitations({ _id: invitation._id });
+        return res.status(400).send({
           success: false,
-          error: "You don't have permission",
+          error: "This invitation has expired",
+          code: "INVITATION_EXPIRED",
         });
       }
 
-      // Create payment intent with Stripe
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: application.expectedSalary * 100, // Convert to cents
-        currency: "bdt",
-        metadata: {
-          applicationId: applicationId,
-          tuitionId: tuition._id.toString(),
-          tutorId: application.tutorId.toString(),
-          studentId: student._id.toString(),
+      if (invitation.status !== "pending") {
+        return res.status(400).send({
+          success: false,
+          error: `This invitation is already ${invitation.status}`,
+          code: "INVALID_TRANSITION",
+        });
+      }
+
+      // Accepting is applying - applyToTuition marks the invitation accepted
+      if (action === "accept") {
+        const body = req.body || {};
+        const { status, ...result } = await applyToTuition(
+          user,
+          invitation.tuitionId,
+          {
+            qualifications: body.qualifications ?? user.qualifications,
+            experience: body.experience ?? user.experience,
+            expectedSalary: body.expectedSalary ?? user.expectedSalary,
+          },
+        );
+
+        if (!result.success) {
+          return res.status(status).send(result);
+        }
+
+        return res.send({
+          success: true,
+          message: "Invitation accepted and application submitted",
+          data: result.application,
+          conflicts: result.conflicts,
+        });
+      }
+
+      // Conditional on status so a concurrent accept or cancel wins
+      const result = await invitationsCollection.updateOne(
+        { _id: invitation._id, status: "pending" },
+        {
+          $set: {
+            status: rule.to,
+            respondedAt: now,
+            updatedAt: now,
+            ...(action === "decline" && {
+              declineReason: req.body?.reason?.trim() || "",
+            }),
+          },
         },
-      });
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(409).send({
+          success: false,
+          error: "The invitation changed in the meantime, please retry",
+          code: "STATUS_CONFLICT",
+        });
+      }
+
+      const tuition = await tuitionsCollection.findOne(
+        { _id: invitation.tuitionId },
+        { projection: { title: 1 } },
+      );
+      await createNotification(
+        action === "decline"
+          ? {
+              userId: invitation.studentId,
+              type: "invitation_declined",
+              title: "Invitation declined",
+              message: `${user.name} declined your invitation to "${tuition?.title}"`,
+              data: {
+                tuitionId: invitation.tuitionId,
+                invitationId: invitation._id,
+              },
+            }
+          : {
+              userId: invitation.tutorId,
+              type: "invitation_cancelled",
+              title: "Invitation withdrawn",
+              message: `${user.name} withdrew the invitation to "${tuition?.title}"`,
+              data: {
+                tuitionId: invitation.tuitionId,
+                invitationId: invitation._id,
+              },
+            },
+      );
 
       res.send({
         success: true,
-        clientSecret: paymentIntent.client_secret,
+        message: `Invitation ${rule.to}`,
       });
     } catch (error) {
-      console.error("Error creating payment intent:", error);
+      console.error("Error responding to invitation:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2883,90 +4727,133 @@ app.post(
   },
 );
 
-// POST - Payment success (webhook or manual)
+// ============= Saved Tuition APIs =============
+// =============================================
+// =============================================
+
+// POST - Save/bookmark a tuition (Tutor only)
 app.post(
-  "/api/payment/success",
+  "/api/tuitions/:id/save",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["student"]),
+  verifyRole(["tutor"]),
   async (req, res) => {
     try {
-      const { applicationId, paymentIntentId } = req.body;
       const email = req.query.email;
       const decoded_email = req.decoded_user?.email;
+      const { id } = req.params;
 
       if (email !== decoded_email) {
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      // Get application
-      const application = await applicationsCollection.findOne({
-        _id: new ObjectId(applicationId),
-      });
-
-      if (!application) {
-        return res.status(404).send({
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({
           success: false,
-          error: "Application not found",
+          error: "Invalid tuition ID",
         });
       }
 
-      const student = await usersCollection.findOne({ email });
+      const tutor = await usersCollection.findOne({ email });
       const tuition = await tuitionsCollection.findOne({
-        _id: application.tuitionPostId,
+        _id: new ObjectId(id),
+        status: "active",
       });
 
-      // 1. Update application status
-      await applicationsCollection.updateOne(
-        { _id: new ObjectId(applicationId) },
-        { $set: { status: "approved", updatedAt: new Date() } },
-      );
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition post not found",
+        });
+      }
+
+      try {
+        await savedTuitionsCollection.insertOne({
+          tutorId: tutor._id,
+          tuitionId: tuition._id,
+          savedAt: new Date(),
+        });
+      } catch (error) {
+        // Unique index - already saved, nothing to count
+        if (error.code === 11000) {
+          return res.send({
+            success: true,
+            message: "Tuition already saved",
+          });
+        }
+        throw error;
+      }
 
-      // 2. Update tuition - add tutorId and change status
       await tuitionsCollection.updateOne(
-        { _id: application.tuitionPostId },
-        {
-          $set: {
-            tutorId: application.tutorId,
-            status: "completed",
-            updatedAt: new Date(),
-          },
-        },
+        { _id: tuition._id },
+        { $inc: { savedCount: 1 } },
       );
 
-      // 3. Reject other applications for this tuition
-      await applicationsCollection.updateMany(
-        {
-          tuitionPostId: application.tuitionPostId,
-          _id: { $ne: new ObjectId(applicationId) },
-          status: "pending",
-        },
-        { $set: { status: "rejected", updatedAt: new Date() } },
-      );
+      res.status(201).send({
+        success: true,
+        message: "Tuition saved successfully",
+      });
+    } catch (error) {
+      console.error("Error saving tuition:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
 
-      // 4. Save payment record
-      const paymentRecord = {
-        applicationId: new ObjectId(applicationId),
-        tuitionId: application.tuitionPostId,
-        studentId: student._id,
-        tutorId: application.tutorId,
-        amount: application.expectedSalary,
-        status: "completed",
-        transactionId: paymentIntentId,
-        createdAt: new Date(),
-      };
+// DELETE - Unsave a tuition (Tutor only)
+app.delete(
+  "/api/tuitions/:id/save",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { id } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition ID",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const result = await savedTuitionsCollection.deleteOne({
+        tutorId: tutor._id,
+        tuitionId: new ObjectId(id),
+      });
 
-      await paymentsCollection.insertOne(paymentRecord);
+      // Only decrement when a bookmark was actually removed
+      if (result.deletedCount > 0) {
+        await tuitionsCollection.updateOne(
+          { _id: new ObjectId(id), savedCount: { $gt: 0 } },
+          { $inc: { savedCount: -1 } },
+        );
+      }
 
       res.send({
         success: true,
-        message: "Payment successful and tutor approved",
+        message: "Tuition removed from saved list",
       });
     } catch (error) {
-      console.error("Error processing payment success:", error);
+      console.error("Error unsaving tuition:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -2975,12 +4862,12 @@ app.post(
   },
 );
 
-// GET - Payment history (Student only - ei API change korte hobe)
+// GET - My saved tuitions (Tutor only)
 app.get(
-  "/api/payments/history",
+  "/api/tutor/saved-tuitions",
   ensureDBConnection,
   verifyToken,
-  verifyRole(["student"]), // 👈 Add this
+  verifyRole(["tutor"]),
   async (req, res) => {
     try {
       const email = req.query.email;
@@ -2990,49 +4877,48 @@ app.get(
         return res.status(401).send({
           success: false,
           error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
         });
       }
 
-      const user = await usersCollection.findOne({ email });
+      const tutor = await usersCollection.findOne({ email });
       const { page = 1, limit = 10 } = req.query;
       const skip = (parseInt(page) - 1) * parseInt(limit);
+      const filter = { tutorId: tutor._id };
 
-      // Student only filter
-      const filter = { studentId: user._id };
-
-      const payments = await paymentsCollection
-        .find(filter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
+      const saved = await savedTuitionsCollection
+        .aggregate([
+          { $match: filter },
+          { $sort: { savedAt: -1 } },
+          { $skip: skip },
+          { $limit: parseInt(limit) },
+          {
+            $lookup: {
+              from: "tuitions",
+              localField: "tuitionId",
+              foreignField: "_id",
+              as: "tuition",
+            },
+          },
+          { $unwind: "$tuition" },
+          {
+            $replaceRoot: {
+              newRoot: {
+                $mergeObjects: [
+                  "$tuition",
+                  { savedAt: "$savedAt", isSaved: true },
+                ],
+              },
+            },
+          },
+        ])
         .toArray();
 
-      const total = await paymentsCollection.countDocuments(filter);
-
-      // Get tutor details
-      const paymentsWithDetails = await Promise.all(
-        payments.map(async (payment) => {
-          const tuition = await tuitionsCollection.findOne(
-            { _id: payment.tuitionId },
-            { projection: { title: 1, subject: 1 } },
-          );
-
-          const tutor = await usersCollection.findOne(
-            { _id: payment.tutorId },
-            { projection: { name: 1, photoURL: 1 } },
-          );
-
-          return {
-            ...payment,
-            tuitionDetails: tuition,
-            tutorDetails: tutor,
-          };
-        }),
-      );
+      const total = await savedTuitionsCollection.countDocuments(filter);
 
       res.send({
         success: true,
-        data: paymentsWithDetails,
+        data: saved,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -3041,7 +4927,7 @@ app.get(
         },
       });
     } catch (error) {
-      console.error("Error fetching payment history:", error);
+      console.error("Error fetching saved tuitions:", error);
       res.status(500).send({
         success: false,
         error: error.message,
@@ -3050,12 +4936,6739 @@ app.get(
   },
 );
 
+// ============= Review APIs =============
+// =============================================
+// =============================================
+
+// Recalculate rating aggregates on the tutor's user document
+async function recomputeTutorRating(tutorId) {
+  const [summary] = await reviewsCollection
+    .aggregate([
+      { $match: { tutorId } },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: "$rating" },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  await usersCollection.updateOne(
+    { _id: tutorId },
+    {
+      $set: {
+        rating: summary ? Math.round(summary.average * 10) / 10 : 0,
+        totalReviews: summary?.count || 0,
+        updatedAt: new Date(),
+      },
+    },
+  );
+}
+
+// GET reviews for a tutor (public route)
+app.get("/api/tutors/:id/reviews", ensureDBConnection, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({
+        success: false,
+        error: "Invalid tutor ID",
+      });
+    }
+
+    const tutor = await usersCollection.findOne(
+      { _id: new ObjectId(id), role: "tutor" },
+      { projection: { rating: 1, totalReviews: 1 } },
+    );
+
+    if (!tutor) {
+      return res.status(404).send({
+        success: false,
+        error: "Tutor not found",
+      });
+    }
+
+    const filter = { tutorId: tutor._id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reviews = await reviewsCollection
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .toArray();
+
+    const totalCount = await reviewsCollection.countDocuments(filter);
+
+    res.send({
+      success: true,
+      data: reviews,
+      summary: {
+        rating: tutor.rating || 0,
+        totalReviews: tutor.totalReviews || 0,
+      },
+      total: totalCount,
+      page: parseInt(page),
+      totalPages: Math.ceil(totalCount / parseInt(limit)),
+    });
+  } catch (error) {
+    console.error("Error fetching reviews:", error);
+    res.status(500).send({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST - Review a tutor (Student only - after a completed payment)
+app.post(
+  "/api/tutors/:id/reviews",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { id } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const { tuitionId, rating, comment } = req.body;
+
+      if (!ObjectId.isValid(id) || !ObjectId.isValid(tuitionId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tutor or tuition ID",
+        });
+      }
+
+      const ratingValue = Number(rating);
+      if (
+        !Number.isInteger(ratingValue) ||
+        ratingValue < 1 ||
+        ratingValue > 5
+      ) {
+        return res.status(400).send({
+          success: false,
+          error: "Rating must be a whole number between 1 and 5",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const tutorId = new ObjectId(id);
+
+      // Only students who actually paid this tutor for this tuition - a
+      // later (partial) refund doesn't take that away
+      const payment = await paymentsCollection.findOne({
+        studentId: student._id,
+        tutorId,
+        tuitionId: new ObjectId(tuitionId),
+        status: { $in: SETTLED_PAYMENT_STATUSES },
+      });
+
+      if (!payment) {
+        return res.status(403).send({
+          success: false,
+          error: "You can only review tutors you have hired and paid",
+          code: "REVIEW_NOT_ALLOWED",
+        });
+      }
+
+      const existingReview = await reviewsCollection.findOne({
+        studentId: student._id,
+        tutorId,
+        tuitionId: new ObjectId(tuitionId),
+      });
+
+      if (existingReview) {
+        return res.status(400).send({
+          success: false,
+          error: "You have already reviewed this tutor for this tuition",
+        });
+      }
+
+      const newReview = {
+        tutorId,
+        studentId: student._id,
+        studentName: student.name,
+        studentPhoto: student.photoURL,
+        tuitionId: new ObjectId(tuitionId),
+        rating: ratingValue,
+        comment: comment || "",
+        reply: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await reviewsCollection.insertOne(newReview);
+      await recomputeTutorRating(tutorId);
+
+      console.log(`✅ New review for tutor: ${id} by ${email}`);
+      res.status(201).send({
+        success: true,
+        message: "Review submitted successfully",
+        data: { ...newReview, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error submitting review:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PUT - Update own review (Student only)
+app.put(
+  "/api/reviews/:reviewId",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { reviewId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(reviewId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid review ID",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const review = await reviewsCollection.findOne({
+        _id: new ObjectId(reviewId),
+        studentId: student._id,
+      });
+
+      if (!review) {
+        return res.status(404).send({
+          success: false,
+          error: "Review not found or you don't have permission",
+        });
+      }
+
+      const { rating, comment } = req.body;
+      const updateData = { updatedAt: new Date() };
+
+      if (rating !== undefined) {
+        const ratingValue = Number(rating);
+        if (
+          !Number.isInteger(ratingValue) ||
+          ratingValue < 1 ||
+          ratingValue > 5
+        ) {
+          return res.status(400).send({
+            success: false,
+            error: "Rating must be a whole number between 1 and 5",
+          });
+        }
+        updateData.rating = ratingValue;
+      }
+      if (comment !== undefined) updateData.comment = comment;
+
+      await reviewsCollection.updateOne(
+        { _id: review._id },
+        { $set: updateData },
+      );
+      await recomputeTutorRating(review.tutorId);
+
+      const updatedReview = await reviewsCollection.findOne({
+        _id: review._id,
+      });
+
+      res.send({
+        success: true,
+        message: "Review updated successfully",
+        data: updatedReview,
+      });
+    } catch (error) {
+      console.error("Error updating review:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// DELETE - Delete review (Student owner or Admin)
+app.delete(
+  "/api/reviews/:reviewId",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { reviewId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(reviewId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid review ID",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const filter = { _id: new ObjectId(reviewId) };
+      if (user.role !== "admin") filter.studentId = user._id;
+
+      const review = await reviewsCollection.findOne(filter);
+
+      if (!review) {
+        return res.status(404).send({
+          success: false,
+          error: "Review not found or you don't have permission",
+        });
+      }
+
+      await reviewsCollection.deleteOne({ _id: review._id });
+      await recomputeTutorRating(review.tutorId);
+
+      console.log(`✅ Review deleted: ${reviewId} by ${email}`);
+      res.send({
+        success: true,
+        message: "Review deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting review:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// POST - Reply to a review (Tutor only - one reply per review)
+app.post(
+  "/api/reviews/:reviewId/reply",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { reviewId } = req.params;
+      const { message } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(reviewId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid review ID",
+        });
+      }
+
+      if (!message?.trim()) {
+        return res.status(400).send({
+          success: false,
+          error: "Reply message is required",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const review = await reviewsCollection.findOne({
+        _id: new ObjectId(reviewId),
+        tutorId: tutor._id,
+      });
+
+      if (!review) {
+        return res.status(404).send({
+          success: false,
+          error: "Review not found or you don't have permission",
+        });
+      }
+
+      // Conditional update so two replies can't race in
+      const result = await reviewsCollection.updateOne(
+        { _id: review._id, reply: null },
+        {
+          $set: {
+            reply: { message: message.trim(), createdAt: new Date() },
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(400).send({
+          success: false,
+          error: "You have already replied to this review",
+        });
+      }
+
+      res.send({
+        success: true,
+        message: "Reply posted successfully",
+      });
+    } catch (error) {
+      console.error("Error replying to review:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Tutor Verification APIs =============
+// =============================================
+// =============================================
+
+const VERIFICATION_DOCUMENT_TYPES = ["certificate", "nid", "university_id"];
+
+// POST - Submit verification evidence (Tutor only)
+app.post(
+  "/api/tutor/verification",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      if (!tutor) {
+        return res.status(404).send({
+          success: false,
+          error: "Tutor not found",
+        });
+      }
+
+      if (tutor.isVerified) {
+        return res.status(400).send({
+          success: false,
+          error: "Your credentials are already verified",
+        });
+      }
+
+      const { documents, note } = req.body;
+
+      if (!Array.isArray(documents) || documents.length === 0) {
+        return res.status(400).send({
+          success: false,
+          error: "At least one verification document is required",
+        });
+      }
+
+      const listedQualifications = [tutor.qualifications || []]
+        .flat()
+        .map((qualification) => String(qualification).trim().toLowerCase());
+
+      for (const document of documents) {
+        if (!VERIFICATION_DOCUMENT_TYPES.includes(document?.type)) {
+          return res.status(400).send({
+            success: false,
+            error: `Document type must be one of: ${VERIFICATION_DOCUMENT_TYPES.join(", ")}`,
+          });
+        }
+        if (!document.url) {
+          return res.status(400).send({
+            success: false,
+            error: "Each document needs a file URL",
+          });
+        }
+        // Certificates must say which listed qualification they back
+        if (document.type === "certificate" && !document.qualification) {
+          return res.status(400).send({
+            success: false,
+            error: "Certificates must reference one of your qualifications",
+          });
+        }
+        if (
+          document.type === "certificate" &&
+          !listedQualifications.includes(
+            String(document.qualification).trim().toLowerCase(),
+          )
+        ) {
+          return res.status(400).send({
+            success: false,
+            error: `"${document.qualification}" is not one of the qualifications on your profile`,
+          });
+        }
+      }
+
+      const pendingRequest = await verificationRequestsCollection.findOne({
+        tutorId: tutor._id,
+        status: "pending",
+      });
+
+      if (pendingRequest) {
+        return res.status(400).send({
+          success: false,
+          error: "You already have a verification request under review",
+        });
+      }
+
+      const newRequest = {
+        tutorId: tutor._id,
+        tutorName: tutor.name,
+        tutorEmail: email,
+        qualifications: tutor.qualifications || [],
+        documents: documents.map((document) => ({
+          type: document.type,
+          url: document.url,
+          qualification: document.qualification || null,
+        })),
+        note: note || "",
+        status: "pending", // pending, approved, rejected
+        submittedAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await verificationRequestsCollection.insertOne(newRequest);
+
+      console.log(`✅ Verification request submitted by: ${email}`);
+      res.status(201).send({
+        success: true,
+        message: "Verification request submitted for review",
+        data: { ...newRequest, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error submitting verification:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Own verification status (Tutor only)
+app.get(
+  "/api/tutor/verification",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const latestRequest = await verificationRequestsCollection.findOne(
+        { tutorId: tutor._id },
+        { sort: { submittedAt: -1 } },
+      );
+
+      res.send({
+        success: true,
+        data: {
+          isVerified: tutor.isVerified || false,
+          verifiedAt: tutor.verifiedAt || null,
+          request: latestRequest,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching verification status:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Verification review queue (Admin only)
+app.get(
+  "/api/admin/verifications",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { status = "pending", page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = {};
+      if (status && status !== "all") filter.status = status;
+
+      const requests = await verificationRequestsCollection
+        .find(filter)
+        .sort({ submittedAt: 1 }) // oldest first - it's a queue
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await verificationRequestsCollection.countDocuments(filter);
+
+      res.send({
+        success: true,
+        data: requests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching verifications:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Approve/Reject verification request (Admin only)
+app.patch(
+  "/api/admin/verifications/:requestId/:action",
+  ensureDBConnection, // action = "approve" or "reject"
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { requestId, action } = req.params;
+      const { reason } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!["approve", "reject"].includes(action)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid action",
+        });
+      }
+
+      if (!ObjectId.isValid(requestId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid request ID",
+        });
+      }
+
+      if (action === "reject" && !reason?.trim()) {
+        return res.status(400).send({
+          success: false,
+          error: "A reason is required when rejecting",
+        });
+      }
+
+      const admin = await usersCollection.findOne({ email });
+      const request = await verificationRequestsCollection.findOne({
+        _id: new ObjectId(requestId),
+      });
+
+      if (!request) {
+        return res.status(404).send({
+          success: false,
+          error: "Verification request not found",
+        });
+      }
+
+      if (request.status !== "pending") {
+        return res.status(400).send({
+          success: false,
+          error: "This request has already been reviewed",
+        });
+      }
+
+      const approved = action === "approve";
+
+      // Only a still-pending request - another admin may have just reviewed it
+      const reviewed = await verificationRequestsCollection.updateOne(
+        { _id: request._id, status: "pending" },
+        {
+          $set: {
+            status: approved ? "approved" : "rejected",
+            reason: reason?.trim() || "",
+            reviewedBy: admin._id,
+            reviewedAt: new Date(),
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      if (reviewed.matchedCount === 0) {
+        return res.status(409).send({
+          success: false,
+          error: "This request has already been reviewed",
+          code: "STATUS_CONFLICT",
+        });
+      }
+
+      await usersCollection.updateOne(
+        { _id: request.tutorId },
+        {
+          $set: {
+            isVerified: approved,
+            verifiedAt: approved ? new Date() : null,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      console.log(
+        `✅ Verification ${action}d for tutor: ${request.tutorEmail}`,
+      );
+      res.send({
+        success: true,
+        message: approved
+          ? "Tutor verified successfully"
+          : "Verification request rejected",
+      });
+    } catch (error) {
+      console.error("Error reviewing verification:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Messaging APIs =============
+// =============================================
+// =============================================
+
+// Work out who may use an application's thread from the source documents:
+// the student who owns the tuition and the tutor who applied.
+async function getThreadParticipants(applicationId) {
+  const application = await applicationsCollection.findOne({
+    _id: applicationId,
+  });
+  if (!application) return null;
+
+  const tuition = await tuitionsCollection.findOne(
+    { _id: application.tuitionPostId },
+    { projection: { studentId: 1, title: 1 } },
+  );
+  if (!tuition) return null;
+
+  return {
+    application,
+    tuition,
+    studentId: tuition.studentId,
+    tutorId: application.tutorId,
+  };
+}
+
+// "student" / "tutor" if the user belongs to the thread, otherwise null
+function getThreadRole(participants, user) {
+  if (!participants) return null;
+  if (
+    user.role === "student" &&
+    participants.studentId.toString() === user._id.toString()
+  ) {
+    return "student";
+  }
+  if (
+    user.role === "tutor" &&
+    participants.tutorId.toString() === user._id.toString()
+  ) {
+    return "tutor";
+  }
+  return null;
+}
+
+// Load a conversation and re-check that the user is still a participant
+async function loadConversationForUser(conversationId, user) {
+  if (!ObjectId.isValid(conversationId)) return null;
+
+  const conversation = await conversationsCollection.findOne({
+    _id: new ObjectId(conversationId),
+  });
+  if (!conversation) return null;
+
+  const participants = await getThreadParticipants(conversation.applicationId);
+  const role = getThreadRole(participants, user);
+  if (!role) return null;
+
+  return { conversation, role };
+}
+
+// POST - Open (or fetch) the thread for an application or hired tuition
+app.post(
+  "/api/conversations",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const { applicationId, tuitionId, tutorId } = req.body;
+      let targetApplicationId;
+
+      if (applicationId) {
+        if (!ObjectId.isValid(applicationId)) {
+          return res.status(400).send({
+            success: false,
+            error: "Invalid application ID",
+          });
+        }
+        targetApplicationId = new ObjectId(applicationId);
+      } else if (tuitionId) {
+        if (!ObjectId.isValid(tuitionId)) {
+          return res.status(400).send({
+            success: false,
+            error: "Invalid tuition ID",
+          });
+        }
+
+        // Hired tuition - use the approved application of its tutor
+        const tuition = await tuitionsCollection.findOne({
+          _id: new ObjectId(tuitionId),
+        });
+        // Students pick the tutor when more than one is assigned
+        const hiredTutorId =
+          user.role === "tutor"
+            ? user._id
+            : tutorId ||
+              (tuition?.tutorIds?.length === 1 ? tuition.tutorIds[0] : null);
+
+        const hiredApplication =
+          tuition && hiredTutorId && ObjectId.isValid(hiredTutorId)
+            ? await applicationsCollection.findOne({
+                tuitionPostId: tuition._id,
+                tutorId: new ObjectId(hiredTutorId),
+                status: "approved",
+              })
+            : null;
+
+        if (!hiredApplication) {
+          return res.status(404).send({
+            success: false,
+            error: "No hired tutor found for this tuition",
+          });
+        }
+        targetApplicationId = hiredApplication._id;
+      } else {
+        return res.status(400).send({
+          success: false,
+          error: "applicationId or tuitionId is required",
+        });
+      }
+
+      const participants = await getThreadParticipants(targetApplicationId);
+      if (!getThreadRole(participants, user)) {
+        return res.status(403).send({
+          success: false,
+          error: "You don't have permission to access this conversation",
+        });
+      }
+
+      // One thread per application
+      const conversation = await conversationsCollection.findOneAndUpdate(
+        { applicationId: targetApplicationId },
+        {
+          $setOnInsert: {
+            applicationId: targetApplicationId,
+            tuitionId: participants.tuition._id,
+            tuitionTitle: participants.tuition.title,
+            studentId: participants.studentId,
+            tutorId: participants.tutorId,
+            lastMessage: null,
+            unread: { student: 0, tutor: 0 },
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          },
+        },
+        { upsert: true, returnDocument: "after" },
+      );
+
+      res.send({
+        success: true,
+        data: conversation,
+      });
+    } catch (error) {
+      console.error("Error opening conversation:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - My conversations with unread counts
+app.get(
+  "/api/conversations",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const side = user.role; // "student" or "tutor"
+
+      const filter = { [`${side}Id`]: user._id };
+
+      const conversations = await conversationsCollection
+        .find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await conversationsCollection.countDocuments(filter);
+
+      const [unreadTotal] = await conversationsCollection
+        .aggregate([
+          { $match: filter },
+          { $group: { _id: null, total: { $sum: `$unread.${side}` } } },
+        ])
+        .toArray();
+
+      // Show the other participant's name and photo
+      const otherSide = side === "student" ? "tutor" : "student";
+      const conversationsWithDetails = await Promise.all(
+        conversations.map(async (conversation) => {
+          const otherUser = await usersCollection.findOne(
+            { _id: conversation[`${otherSide}Id`] },
+            { projection: { name: 1, photoURL: 1 } },
+          );
+          return {
+            ...conversation,
+            unreadCount: conversation.unread?.[side] || 0,
+            participant: otherUser,
+          };
+        }),
+      );
+
+      res.send({
+        success: true,
+        data: conversationsWithDetails,
+        totalUnread: unreadTotal?.total || 0,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching conversations:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Messages in a conversation
+app.get(
+  "/api/conversations/:conversationId/messages",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const access = await loadConversationForUser(
+        req.params.conversationId,
+        user,
+      );
+
+      if (!access) {
+        return res.status(404).send({
+          success: false,
+          error: "Conversation not found or you don't have permission",
+        });
+      }
+
+      const { page = 1, limit = 30 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const filter = { conversationId: access.conversation._id };
+
+      // Newest page first, returned oldest-to-newest for display
+      const messages = await messagesCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await messagesCollection.countDocuments(filter);
+
+      res.send({
+        success: true,
+        data: messages.reverse(),
+        unreadCount: access.conversation.unread?.[access.role] || 0,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching messages:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// POST - Send a message
+app.post(
+  "/api/conversations/:conversationId/messages",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { text } = req.body || {};
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (typeof text !== "string" || !text.trim()) {
+        return res.status(400).send({
+          success: false,
+          error: "Message text is required",
+        });
+      }
+
+      if (text.length > 2000) {
+        return res.status(400).send({
+          success: false,
+          error: "Message is too long (max 2000 characters)",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const access = await loadConversationForUser(
+        req.params.conversationId,
+        user,
+      );
+
+      if (!access) {
+        return res.status(404).send({
+          success: false,
+          error: "Conversation not found or you don't have permission",
+        });
+      }
+
+      const recipientSide = access.role === "student" ? "tutor" : "student";
+      const newMessage = {
+        conversationId: access.conversation._id,
+        senderId: user._id,
+        senderRole: access.role,
+        text: text.trim(),
+        readAt: null,
+        createdAt: new Date(),
+      };
+
+      const result = await messagesCollection.insertOne(newMessage);
+
+      await conversationsCollection.updateOne(
+        { _id: access.conversation._id },
+        {
+          $set: {
+            lastMessage: {
+              text: newMessage.text,
+              senderId: user._id,
+              sentAt: newMessage.createdAt,
+            },
+            updatedAt: new Date(),
+          },
+          $inc: { [`unread.${recipientSide}`]: 1 },
+        },
+      );
+
+      res.status(201).send({
+        success: true,
+        data: { ...newMessage, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Mark a conversation as read
+app.patch(
+  "/api/conversations/:conversationId/read",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const access = await loadConversationForUser(
+        req.params.conversationId,
+        user,
+      );
+
+      if (!access) {
+        return res.status(404).send({
+          success: false,
+          error: "Conversation not found or you don't have permission",
+        });
+      }
+
+      // Messages from the other participant become read
+      await messagesCollection.updateMany(
+        {
+          conversationId: access.conversation._id,
+          senderId: { $ne: user._id },
+          readAt: null,
+        },
+        { $set: { readAt: new Date() } },
+      );
+
+      await conversationsCollection.updateOne(
+        { _id: access.conversation._id },
+        { $set: { [`unread.${access.role}`]: 0 } },
+      );
+
+      res.send({
+        success: true,
+        message: "Conversation marked as read",
+      });
+    } catch (error) {
+      console.error("Error marking conversation read:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Notification APIs =============
+// =============================================
+// =============================================
+
+// Store an in-app notification. Best effort - a failed notification must
+// never break the action that triggered it.
+async function createNotification({ userId, type, title, message, data = {} }) {
+  try {
+    await notificationsCollection.insertOne({
+      userId,
+      type,
+      title,
+      message,
+      data,
+      read: false,
+      readAt: null,
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Error creating notification:", error.message);
+  }
+}
+
+// Send a transactional email unless the user opted out of its category.
+// Best effort, same as notifications.
+async function sendEmail(user, templateName, context = {}) {
+  try {
+    if (!user?.email) return;
+
+    const category = EMAIL_TEMPLATE_CATEGORIES[templateName];
+    if (user.emailPreferences?.[category] === false) return;
+
+    const { subject, text, html } = renderEmail(templateName, {
+      user,
+      ...context,
+    });
+
+    await mailTransport.send({
+      from: process.env.MAIL_FROM || "Tutorate <no-reply@tutorate.app>",
+      to: user.email,
+      subject,
+      text,
+      html,
+      template: templateName,
+    });
+  } catch (error) {
+    console.error(`Error sending ${templateName} email:`, error.message);
+  }
+}
+
+// GET - My notifications
+app.get(
+  "/api/notifications",
+  ensureDBConnection,
+  verifyToken,
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const { unread, page = 1, limit = 20 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { userId: user._id };
+      if (unread === "true") filter.read = false;
+
+      const notifications = await notificationsCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const [total, unreadCount] = await Promise.all([
+        notificationsCollection.countDocuments(filter),
+        notificationsCollection.countDocuments({
+          userId: user._id,
+          read: false,
+        }),
+      ]);
+
+      res.send({
+        success: true,
+        data: notifications,
+        unreadCount,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Mark all my notifications as read
+app.patch(
+  "/api/notifications/read-all",
+  ensureDBConnection,
+  verifyToken,
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const result = await notificationsCollection.updateMany(
+        { userId: user._id, read: false },
+        { $set: { read: true, readAt: new Date() } },
+      );
+
+      res.send({
+        success: true,
+        message: "All notifications marked as read",
+        data: { updated: result.modifiedCount },
+      });
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Mark one notification as read
+app.patch(
+  "/api/notifications/:notificationId/read",
+  ensureDBConnection,
+  verifyToken,
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { notificationId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(notificationId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid notification ID",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const result = await notificationsCollection.updateOne(
+        { _id: new ObjectId(notificationId), userId: user._id },
+        { $set: { read: true, readAt: new Date() } },
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).send({
+          success: false,
+          error: "Notification not found",
+        });
+      }
+
+      res.send({
+        success: true,
+        message: "Notification marked as read",
+      });
+    } catch (error) {
+      console.error("Error marking notification read:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Admin - User Management APIs =============
+// =================================================================
+// =================================================================
+
+// Filters shared by the paginated admin lists and their CSV/XLSX exports.
+// `from` / `to` are ISO dates; a bare date in `to` includes that whole day.
+function parseDateRange({ from, to }) {
+  const range = {};
+
+  const start = from ? new Date(from) : null;
+  if (start && !isNaN(start)) range.$gte = start;
+
+  const end = to ? new Date(to) : null;
+  if (end && !isNaN(end)) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+function buildAdminUserFilter(query) {
+  const { role, status, search } = query;
+
+  const filter = {};
+  if (role && role !== "all") filter.role = role;
+  if (status && status !== "all") filter.status = status;
+  if (search) {
+    const pattern = escapeRegex(search);
+    filter.$or = [
+      { name: { $regex: pattern, $options: "i" } },
+      { email: { $regex: pattern, $options: "i" } },
+      { phone: { $regex: pattern, $options: "i" } },
+    ];
+  }
+
+  const createdAt = parseDateRange(query);
+  if (createdAt) filter.createdAt = createdAt;
+
+  return filter;
+}
+
+function buildAdminTuitionFilter(query) {
+  const { status, search } = query;
+
+  const filter = {};
+  if (status && status !== "all") filter.status = status;
+  if (search) {
+    const pattern = escapeRegex(search);
+    filter.$or = [
+      { title: { $regex: pattern, $options: "i" } },
+      { subject: { $regex: pattern, $options: "i" } },
+      { location: { $regex: pattern, $options: "i" } },
+    ];
+  }
+
+  const posted = parseDateRange(query);
+  if (posted) filter.posted = posted;
+
+  return filter;
+}
+
+// Settled payments unless a specific status is asked for
+function buildTransactionFilter(query) {
+  const { status, search } = query;
+
+  const filter = {
+    status:
+      status && status !== "all" ? status : { $in: SETTLED_PAYMENT_STATUSES },
+  };
+  if (search) {
+    const pattern = escapeRegex(search);
+    filter.$or = [
+      { transactionId: { $regex: pattern, $options: "i" } },
+      { receiptNumber: { $regex: pattern, $options: "i" } },
+    ];
+  }
+
+  const createdAt = parseDateRange(query);
+  if (createdAt) filter.createdAt = createdAt;
+
+  return filter;
+}
+
+// Names and ledger split for payments, shared by reports and the export
+const transactionDetailStages = [
+  {
+    $lookup: {
+      from: "ledgerEntries",
+      localField: "_id",
+      foreignField: "paymentId",
+      as: "ledger",
+    },
+  },
+  {
+    $lookup: {
+      from: "users",
+      localField: "studentId",
+      foreignField: "_id",
+      as: "student",
+    },
+  },
+  {
+    $lookup: {
+      from: "users",
+      localField: "tutorId",
+      foreignField: "_id",
+      as: "tutor",
+    },
+  },
+  {
+    $lookup: {
+      from: "tuitions",
+      localField: "tuitionId",
+      foreignField: "_id",
+      as: "tuition",
+    },
+  },
+  {
+    $project: {
+      _id: 1,
+      createdAt: 1,
+      amount: 1,
+      currency: 1,
+      type: 1,
+      status: 1,
+      refundedAmount: 1,
+      transactionId: 1,
+      receiptNumber: 1,
+      commission: { $round: [{ $sum: "$ledger.commission" }, 2] },
+      tutorNet: { $round: [{ $sum: "$ledger.net" }, 2] },
+      studentName: { $arrayElemAt: ["$student.name", 0] },
+      tutorName: { $arrayElemAt: ["$tutor.name", 0] },
+      tuitionTitle: { $arrayElemAt: ["$tuition.title", 0] },
+    },
+  },
+];
+
+// Reject unknown export formats before any headers are sent
+function getExportFormat(req, res) {
+  const format = req.query.format || "csv";
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).send({
+      success: false,
+      error: `Format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+    });
+    return null;
+  }
+  return format;
+}
+
+// GET all users (Admin only)
+app.get(
+  "/api/admin/users",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      // Build filter (role, status, search, from/to)
+      const filter = buildAdminUserFilter(req.query);
+
+      const users = await usersCollection
+        .find(filter)
+        .project({ password: 0, firebaseUID: 0 })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await usersCollection.countDocuments(filter);
+
+      res.send({
+        success: true,
+        data: users,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Update user role (Admin only)
+app.patch(
+  "/api/admin/users/:userId/role",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!["student", "tutor", "admin"].includes(role)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid role",
+        });
+      }
+
+      if (!ObjectId.isValid(userId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid user ID",
+        });
+      }
+
+      const result = await usersCollection.updateOne(
+        { _id: new ObjectId(userId) },
+        {
+          $set: {
+            role,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).send({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      res.send({
+        success: true,
+        message: "User role updated successfully",
+      });
+    } catch (error) {
+      console.error("Error updating user role:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Update user status (Admin only)
+app.patch(
+  "/api/admin/users/:userId/status",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { userId } = req.params;
+      const { status } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!["active", "blocked", "pending"].includes(status)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid status",
+        });
+      }
+
+      if (!ObjectId.isValid(userId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid user ID",
+        });
+      }
+
+      const previousUser = await usersCollection.findOneAndUpdate(
+        { _id: new ObjectId(userId) },
+        {
+          $set: {
+            status,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      if (!previousUser) {
+        return res.status(404).send({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      // Tutor accounts start as pending - let them know once approved
+      if (
+        previousUser.role === "tutor" &&
+        previousUser.status === "pending" &&
+        status === "active"
+      ) {
+        await sendEmail(previousUser, "tutorApproved");
+      }
+
+      res.send({
+        success: true,
+        message: "User status updated successfully",
+      });
+    } catch (error) {
+      console.error("Error updating user status:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// DELETE - Delete user (Admin only)
+app.delete(
+  "/api/admin/users/:userId",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { userId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!ObjectId.isValid(userId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid user ID",
+        });
+      }
+
+      // Check if user has any related data
+      const applications = await applicationsCollection.countDocuments({
+        $or: [
+          { studentId: new ObjectId(userId) },
+          { tutorId: new ObjectId(userId) },
+        ],
+      });
+
+      const tuitions = await tuitionsCollection.countDocuments({
+        studentId: new ObjectId(userId),
+      });
+
+      if (applications > 0 || tuitions > 0) {
+        // Soft delete
+        await usersCollection.updateOne(
+          { _id: new ObjectId(userId) },
+          {
+            $set: {
+              status: "deleted",
+              deletedAt: new Date(),
+              updatedAt: new Date(),
+            },
+          },
+        );
+      } else {
+        // Hard delete
+        await usersCollection.deleteOne({ _id: new ObjectId(userId) });
+      }
+
+      res.send({
+        success: true,
+        message: "User deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting user:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET all tuitions for admin (with filters)
+app.get(
+  "/api/admin/tuitions",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      // status, search, from/to
+      const filter = buildAdminTuitionFilter(req.query);
+
+      const tuitions = await tuitionsCollection
+        .find(filter)
+        .sort({ posted: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await tuitionsCollection.countDocuments(filter);
+
+      res.send({
+        success: true,
+        data: tuitions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching tuitions:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Approve tuition
+app.patch(
+  "/api/admin/tuitions/:tuitionId/approve",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { tuitionId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!ObjectId.isValid(tuitionId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition ID",
+        });
+      }
+
+      const admin = await usersCollection.findOne({ email });
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(tuitionId),
+      });
+
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found",
+        });
+      }
+
+      const transition = await transitionTuition(
+        tuitionsCollection,
+        tuition,
+        "active",
+        { role: "admin", actorId: admin._id },
+      );
+
+      if (!transition.success) {
+        return res.status(400).send({
+          success: false,
+          error: transition.error,
+          code: transition.code,
+        });
+      }
+
+      await createNotification({
+        userId: tuition.studentId,
+        type: "tuition_approved",
+        title: "Tuition post approved",
+        message: `"${tuition.title}" is now live and open for applications`,
+        data: { tuitionId: tuition._id },
+      });
+
+      const student = await usersCollection.findOne({ _id: tuition.studentId });
+      await sendEmail(student, "tuitionApproved", { tuition });
+
+      res.send({
+        success: true,
+        message: "Tuition approved successfully",
+      });
+    } catch (error) {
+      console.error("Error approving tuition:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Reject tuition
+app.patch(
+  "/api/admin/tuitions/:tuitionId/reject",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { tuitionId } = req.params;
+      const { reason } = req.body || {};
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!ObjectId.isValid(tuitionId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition ID",
+        });
+      }
+
+      const admin = await usersCollection.findOne({ email });
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(tuitionId),
+      });
+
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found",
+        });
+      }
+
+      const transition = await transitionTuition(
+        tuitionsCollection,
+        tuition,
+        "rejected",
+        {
+          role: "admin",
+          actorId: admin._id,
+          reason: reason || "",
+          set: { rejectionReason: reason || "" },
+        },
+      );
+
+      if (!transition.success) {
+        return res.status(400).send({
+          success: false,
+          error: transition.error,
+          code: transition.code,
+        });
+      }
+
+      await createNotification({
+        userId: tuition.studentId,
+        type: "tuition_rejected",
+        title: "Tuition post rejected",
+        message: reason
+          ? `"${tuition.title}" was rejected: ${reason}`
+          : `"${tuition.title}" was rejected by an admin`,
+        data: { tuitionId: tuition._id },
+      });
+
+      const student = await usersCollection.findOne({ _id: tuition.studentId });
+      await sendEmail(student, "tuitionRejected", { tuition, reason });
+
+      res.send({
+        success: true,
+        message: "Tuition rejected successfully",
+      });
+    } catch (error) {
+      console.error("Error rejecting tuition:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Reports data
+app.get(
+  "/api/admin/reports",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { range = "month", page = 1, limit = 10 } = req.query;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      // Date range calculation
+      const now = new Date();
+      let startDate = new Date();
+      if (range === "week") startDate.setDate(now.getDate() - 7);
+      else if (range === "month") startDate.setMonth(now.getMonth() - 1);
+      else if (range === "year") startDate.setFullYear(now.getFullYear() - 1);
+
+      // Stats - gross volume is what students paid (less refunds); platform
+      // revenue is only the commission kept from it
+      const [
+        volume,
+        ledgerTotals,
+        totalUsers,
+        totalTuitions,
+        totalApplications,
+      ] = await Promise.all([
+        paymentsCollection
+          .aggregate([
+            { $match: { status: { $in: SETTLED_PAYMENT_STATUSES } } },
+            {
+              $group: {
+                _id: null,
+                total: { $sum: netPaymentAmount },
+                refunded: { $sum: { $ifNull: ["$refundedAmount", 0] } },
+              },
+            },
+          ])
+          .toArray(),
+        ledgerEntriesCollection
+          .aggregate([
+            {
+              $group: {
+                _id: null,
+                revenue: { $sum: "$commission" },
+                tutorEarnings: {
+                  $sum: { $cond: [{ $eq: ["$type", "payout"] }, 0, "$net"] },
+                },
+                outstanding: { $sum: "$net" },
+              },
+            },
+          ])
+          .toArray(),
+        usersCollection.countDocuments(),
+        tuitionsCollection.countDocuments(),
+        applicationsCollection.countDocuments(),
+      ]);
+
+      // Role distribution
+      const roleDistribution = await usersCollection
+        .aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }])
+        .toArray();
+
+      // Chart data - volume from payments, revenue from the ledger
+      const dateFormat = range === "year" ? "%Y-%m" : "%Y-%m-%d";
+      const [volumeByDate, revenueByDate] = await Promise.all([
+        paymentsCollection
+          .aggregate([
+            {
+              $match: {
+                status: { $in: SETTLED_PAYMENT_STATUSES },
+                createdAt: { $gte: startDate },
+              },
+            },
+            {
+              $group: {
+                _id: {
+                  $dateToString: { format: dateFormat, date: "$createdAt" },
+                },
+                volume: { $sum: netPaymentAmount },
+              },
+            },
+          ])
+          .toArray(),
+        ledgerEntriesCollection
+          .aggregate([
+            {
+              $match: {
+                type: { $ne: "payout" },
+                createdAt: { $gte: startDate },
+              },
+            },
+            {
+              $group: {
+                _id: {
+                  $dateToString: { format: dateFormat, date: "$createdAt" },
+                },
+                revenue: { $sum: "$commission" },
+              },
+            },
+          ])
+          .toArray(),
+      ]);
+
+      const revenueMap = new Map(revenueByDate.map((d) => [d._id, d.revenue]));
+      const chartData = volumeByDate
+        .map((d) => ({ ...d, revenue: revenueMap.get(d._id) || 0 }))
+        .sort((a, b) => a._id.localeCompare(b._id))
+        .slice(-30);
+
+      // Recent transactions with pagination (status, search, from/to)
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const transactionFilter = buildTransactionFilter(req.query);
+      const transactions = await paymentsCollection
+        .aggregate([
+          { $match: transactionFilter },
+          { $sort: { createdAt: -1 } },
+          { $skip: skip },
+          { $limit: parseInt(limit) },
+          ...transactionDetailStages,
+        ])
+        .toArray();
+
+      const totalTransactions =
+        await paymentsCollection.countDocuments(transactionFilter);
+
+      res.send({
+        success: true,
+        stats: {
+          grossVolume: roundMoney(volume[0]?.total || 0),
+          totalRefunded: roundMoney(volume[0]?.refunded || 0),
+          platformRevenue: roundMoney(ledgerTotals[0]?.revenue || 0),
+          tutorEarnings: roundMoney(ledgerTotals[0]?.tutorEarnings || 0),
+          outstandingBalances: roundMoney(ledgerTotals[0]?.outstanding || 0),
+          earningsGrowth: 12, // You can calculate actual growth
+          totalUsers,
+          activeUsers: await usersCollection.countDocuments({
+            status: "active",
+          }),
+          totalTuitions,
+          activeTuitions: await tuitionsCollection.countDocuments({
+            status: "active",
+          }),
+          totalApplications,
+          pendingApplications: await applicationsCollection.countDocuments({
+            status: "pending",
+          }),
+        },
+        chartData: chartData.map((d) => ({
+          name: d._id,
+          volume: roundMoney(d.volume),
+          revenue: roundMoney(d.revenue),
+        })),
+        roleDistribution: roleDistribution.map((r) => ({
+          name: r._id,
+          value: r.count,
+        })),
+        recentTransactions: transactions,
+        transactionPagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalTransactions,
+          pages: Math.ceil(totalTransactions / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching reports:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Export users as CSV/XLSX (Admin only, same filters as /api/admin/users)
+app.get(
+  "/api/admin/users/export",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const format = getExportFormat(req, res);
+      if (!format) return;
+
+      const cursor = usersCollection
+        .find(buildAdminUserFilter(req.query))
+        .project({ password: 0, firebaseUID: 0, payoutMethods: 0 })
+        .sort({ createdAt: -1 });
+
+      await streamExport(res, {
+        format,
+        filename: "users",
+        cursor,
+        columns: [
+          { header: "ID", value: (u) => u._id.toString(), width: 26 },
+          { header: "Name", value: (u) => u.name },
+          { header: "Email", value: (u) => u.email, width: 30 },
+          { header: "Phone", value: (u) => u.phone },
+          { header: "Role", value: (u) => u.role, width: 10 },
+          { header: "Status", value: (u) => u.status, width: 10 },
+          { header: "Verified", value: (u) => (u.isVerified ? "yes" : "no") },
+          { header: "Rating", value: (u) => u.rating, width: 10 },
+          { header: "Joined", value: (u) => u.createdAt },
+        ],
+      });
+    } catch (error) {
+      console.error("Error exporting users:", error);
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Export tuitions as CSV/XLSX (Admin only, same filters as /api/admin/tuitions)
+app.get(
+  "/api/admin/tuitions/export",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const format = getExportFormat(req, res);
+      if (!format) return;
+
+      const cursor = tuitionsCollection
+        .find(buildAdminTuitionFilter(req.query))
+        .project({ statusHistory: 0, description: 0 })
+        .sort({ posted: -1 });
+
+      await streamExport(res, {
+        format,
+        filename: "tuitions",
+        cursor,
+        columns: [
+          { header: "ID", value: (t) => t._id.toString(), width: 26 },
+          { header: "Title", value: (t) => t.title, width: 35 },
+          { header: "Subject", value: (t) => t.subject },
+          { header: "Class", value: (t) => t.class, width: 10 },
+          { header: "Location", value: (t) => t.location },
+          { header: "Area", value: (t) => t.area },
+          { header: "Min budget", value: (t) => t.minBudget, width: 12 },
+          { header: "Max budget", value: (t) => t.maxBudget, width: 12 },
+          { header: "Status", value: (t) => t.status, width: 12 },
+          { header: "Student", value: (t) => t.studentName },
+          { header: "Student email", value: (t) => t.studentEmail, width: 30 },
+          { header: "Slots", value: (t) => t.slots || 1, width: 8 },
+          { header: "Hired", value: (t) => t.tutorIds?.length || 0, width: 8 },
+          { header: "Applicants", value: (t) => t.applicants || 0 },
+          { header: "Posted", value: (t) => t.posted },
+        ],
+      });
+    } catch (error) {
+      console.error("Error exporting tuitions:", error);
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Export transactions as CSV/XLSX (Admin only, same filters as the
+// transactions section of /api/admin/reports)
+app.get(
+  "/api/admin/reports/transactions/export",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const format = getExportFormat(req, res);
+      if (!format) return;
+
+      const cursor = paymentsCollection.aggregate(
+        [
+          { $match: buildTransactionFilter(req.query) },
+          { $sort: { createdAt: -1 } },
+          ...transactionDetailStages,
+        ],
+        { batchSize: 500 },
+      );
+
+      await streamExport(res, {
+        format,
+        filename: "transactions",
+        cursor,
+        columns: [
+          { header: "Date", value: (p) => p.createdAt },
+          { header: "Receipt", value: (p) => p.receiptNumber, width: 12 },
+          {
+            header: "Transaction ID",
+            value: (p) => p.transactionId,
+            width: 30,
+          },
+          { header: "Type", value: (p) => p.type || "hire", width: 10 },
+          { header: "Status", value: (p) => p.status, width: 18 },
+          { header: "Amount", value: (p) => p.amount, width: 12 },
+          {
+            header: "Refunded",
+            value: (p) => p.refundedAmount || 0,
+            width: 12,
+          },
+          { header: "Commission", value: (p) => p.commission, width: 12 },
+          { header: "Tutor net", value: (p) => p.tutorNet, width: 12 },
+          { header: "Currency", value: (p) => p.currency, width: 10 },
+          { header: "Student", value: (p) => p.studentName },
+          { header: "Tutor", value: (p) => p.tutorName },
+          { header: "Tuition", value: (p) => p.tuitionTitle, width: 35 },
+        ],
+      });
+    } catch (error) {
+      console.error("Error exporting transactions:", error);
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Payment APIs =============
+
+// POST - Create payment intent
+app.post(
+  "/api/create-payment-intent",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const { applicationId } = req.body;
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      // Get application details
+      const application = await applicationsCollection.findOne({
+        _id: new ObjectId(applicationId),
+      });
+
+      if (!application) {
+        return res.status(404).send({
+          success: false,
+          error: "Application not found",
+        });
+      }
+
+      // Verify student owns this tuition
+      const student = await usersCollection.findOne({ email });
+      const tuition = await tuitionsCollection.findOne({
+        _id: application.tuitionPostId,
+        studentId: student._id,
+      });
+
+      if (!tuition) {
+        return res.status(403).send({
+          success: false,
+          error: "You don't have permission",
+        });
+      }
+
+      if (application.status !== "pending") {
+        return res.status(400).send({
+          success: false,
+          error: "This application is no longer pending",
+        });
+      }
+
+      if (
+        tuition.status !== "active" ||
+        (tuition.tutorIds?.length || 0) >= (tuition.slots || 1)
+      ) {
+        return res.status(400).send({
+          success: false,
+          error: "All tutor slots for this tuition are already filled",
+          code: "SLOTS_FILLED",
+        });
+      }
+
+      // Create payment intent with Stripe
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: application.expectedSalary * 100, // Convert to cents
+        currency: "bdt",
+        metadata: {
+          applicationId: applicationId,
+          tuitionId: tuition._id.toString(),
+          tutorId: application.tutorId.toString(),
+          studentId: student._id.toString(),
+        },
+      });
+
+      res.send({
+        success: true,
+        clientSecret: paymentIntent.client_secret,
+      });
+    } catch (error) {
+      console.error("Error creating payment intent:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// Hire payment intents carry the application and student they pay for
+function hasHireMetadata(paymentIntent) {
+  const { applicationId, studentId } = paymentIntent.metadata || {};
+  return ObjectId.isValid(applicationId) && ObjectId.isValid(studentId);
+}
+
+// Hire flow shared by the webhook and the client-side success callback.
+// Safe to run more than once for the same payment intent - the unique
+// transactionId index on payments decides which call records the payment.
+async function completeHire(paymentIntent) {
+  if (!hasHireMetadata(paymentIntent)) {
+    throw new Error(`Payment intent ${paymentIntent.id} has invalid metadata`);
+  }
+  const { applicationId, studentId } = paymentIntent.metadata;
+
+  const application = await applicationsCollection.findOne({
+    _id: new ObjectId(applicationId),
+  });
+
+  if (!application) {
+    throw new Error(`Application ${applicationId} not found`);
+  }
+
+  // 1. Assign the tutor - the post keeps taking applications until every
+  // slot is filled. The capacity check is part of the update so concurrent
+  // or late payments can't overfill it; a retry for a tutor who is already
+  // assigned still matches.
+  const tuition = await tuitionsCollection.findOneAndUpdate(
+    {
+      _id: application.tuitionPostId,
+      $or: [
+        { tutorIds: application.tutorId },
+        {
+          status: "active",
+          $expr: {
+            $lt: [
+              { $size: { $ifNull: ["$tutorIds", []] } },
+              { $ifNull: ["$slots", 1] },
+            ],
+          },
+        },
+      ],
+    },
+    {
+      $addToSet: { tutorIds: application.tutorId },
+      $unset: { tutorId: "" },
+      $set: { updatedAt: new Date() },
+    },
+    { returnDocument: "after" },
+  );
+
+  if (!tuition) {
+    return refundUnplacedHire(paymentIntent, application);
+  }
+
+  // 2. Update application status ($min keeps the first hire time on retries).
+  // The hire payment covers the first month; monthly invoices start after it.
+  await applicationsCollection.updateOne(
+    { _id: application._id },
+    {
+      $set: { status: "approved", updatedAt: new Date() },
+      $min: { hiredAt: new Date(), nextBillingDate: addMonths(new Date(), 1) },
+    },
+  );
+
+  // A trial still open is settled by the hire
+  await closeOpenTrials({ _id: application._id }, "hired");
+
+  const slotsFilled = tuition.tutorIds.length >= (tuition.slots || 1);
+
+  if (slotsFilled && tuition.status === "active") {
+    await transitionTuition(tuitionsCollection, tuition, "ongoing", {
+      role: "system",
+      reason: "All tutor slots filled",
+    });
+  }
+
+  // 3. Once every slot is filled, reject the remaining applications
+  const otherApplicationsFilter = {
+    tuitionPostId: application.tuitionPostId,
+    _id: { $ne: application._id },
+    status: "pending",
+  };
+  const rejectedApplications = slotsFilled
+    ? await applicationsCollection
+        .find(otherApplicationsFilter, { projection: { tutorId: 1 } })
+        .toArray()
+    : [];
+
+  if (slotsFilled) {
+    await closeOpenTrials(otherApplicationsFilter, "cancelled");
+    await applicationsCollection.updateMany(otherApplicationsFilter, {
+      $set: { status: "rejected", updatedAt: new Date() },
+    });
+  }
+
+  for (const rejected of rejectedApplications) {
+    await createNotification({
+      userId: rejected.tutorId,
+      type: "application_rejected",
+      title: "Application not selected",
+      message: `Another tutor was hired for "${tuition?.title}"`,
+      data: {
+        tuitionId: application.tuitionPostId,
+        applicationId: rejected._id,
+      },
+    });
+  }
+
+  // 4. Save payment record (a failed attempt for the same intent is upgraded)
+  let duplicate = false;
+  try {
+    await paymentsCollection.updateOne(
+      {
+        transactionId: paymentIntent.id,
+        status: { $nin: SETTLED_PAYMENT_STATUSES },
+      },
+      {
+        $set: {
+          type: "hire",
+          applicationId: application._id,
+          tuitionId: application.tuitionPostId,
+          studentId: new ObjectId(studentId),
+          tutorId: application.tutorId,
+          amount: paymentIntent.amount / 100,
+          currency: paymentIntent.currency,
+          status: "completed",
+          updatedAt: new Date(),
+        },
+        $unset: { failureMessage: "" },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    // Duplicate key - the payment was already recorded as completed
+    if (error.code !== 11000) throw error;
+    duplicate = true;
+  }
+
+  // The ledger and receipt steps run on retries too: an earlier delivery
+  // may have failed after recording the payment, and both only ever write
+  // once per payment
+  const payment = await paymentsCollection.findOne({
+    transactionId: paymentIntent.id,
+  });
+  await recordLedgerEarning(payment);
+  payment.receiptNumber = await assignReceiptNumber(payment);
+
+  if (duplicate) return { duplicate: true };
+
+  await createNotification({
+    userId: application.tutorId,
+    type: "application_approved",
+    title: "You're hired!",
+    message: `Your application for "${tuition?.title}" was approved`,
+    data: {
+      tuitionId: application.tuitionPostId,
+      applicationId: application._id,
+    },
+  });
+
+  const [student, tutor] = await Promise.all([
+    usersCollection.findOne({ _id: new ObjectId(studentId) }),
+    usersCollection.findOne({ _id: application.tutorId }),
+  ]);
+
+  await sendEmail(student, "hireConfirmationStudent", { tuition, application });
+  await sendEmail(tutor, "hireConfirmationTutor", { tuition, student });
+  await sendEmail(student, "paymentReceipt", { tuition, application, payment });
+
+  return { duplicate: false };
+}
+
+// The post filled up or closed before the hire payment went through, so the
+// tutor can't be assigned - record the payment and refund it in full
+async function refundUnplacedHire(paymentIntent, application) {
+  // Hired by an earlier delivery of this payment (and maybe cancelled since)
+  if (["approved", "cancelled"].includes(application.status)) {
+    return { duplicate: true };
+  }
+
+  const { studentId } = paymentIntent.metadata;
+  let payment;
+  try {
+    payment = await paymentsCollection.findOneAndUpdate(
+      {
+        transactionId: paymentIntent.id,
+        status: { $nin: SETTLED_PAYMENT_STATUSES },
+      },
+      {
+        $set: {
+          type: "hire",
+          applicationId: application._id,
+          tuitionId: application.tuitionPostId,
+          studentId: new ObjectId(studentId),
+          tutorId: application.tutorId,
+          amount: paymentIntent.amount / 100,
+          currency: paymentIntent.currency,
+          status: "completed",
+          unplaced: true,
+          updatedAt: new Date(),
+        },
+        $unset: { failureMessage: "" },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true, returnDocument: "after" },
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    payment = await paymentsCollection.findOne({
+      transactionId: paymentIntent.id,
+    });
+  }
+
+  const refundable = refundableAmount(payment);
+  if (!payment.unplaced || refundable <= 0) return { duplicate: true };
+
+  await refundPayment(payment, refundable, {
+    reason: "slots_filled",
+    idempotencyKey: `hire-unplaced-${paymentIntent.id}`,
+  });
+
+  await createNotification({
+    userId: payment.studentId,
+    type: "hire_refunded",
+    title: "Payment refunded",
+    message: `The tutor slots for this tuition were filled before your payment went through, so ${refundable} was refunded`,
+    data: {
+      tuitionId: application.tuitionPostId,
+      applicationId: application._id,
+    },
+  });
+
+  console.log(
+    `⚠️ Hire payment ${paymentIntent.id} refunded - no free slot on the tuition`,
+  );
+  return { duplicate: false, refunded: true };
+}
+
+// Record a failed payment attempt unless the intent already succeeded
+async function recordFailedPayment(paymentIntent) {
+  const { invoiceId, applicationId, tuitionId, tutorId, studentId } =
+    paymentIntent.metadata || {};
+
+  try {
+    await paymentsCollection.updateOne(
+      // A late failure report never undoes a settled (or refunded) payment
+      {
+        transactionId: paymentIntent.id,
+        status: { $nin: SETTLED_PAYMENT_STATUSES },
+      },
+      {
+        $set: {
+          status: "failed",
+          failureMessage: paymentIntent.last_payment_error?.message || null,
+          updatedAt: new Date(),
+        },
+        $setOnInsert: {
+          type: invoiceId ? "invoice" : "hire",
+          invoiceId: ObjectId.isValid(invoiceId)
+            ? new ObjectId(invoiceId)
+            : null,
+          applicationId: ObjectId.isValid(applicationId)
+            ? new ObjectId(applicationId)
+            : null,
+          tuitionId: ObjectId.isValid(tuitionId)
+            ? new ObjectId(tuitionId)
+            : null,
+          studentId: ObjectId.isValid(studentId)
+            ? new ObjectId(studentId)
+            : null,
+          tutorId: ObjectId.isValid(tutorId) ? new ObjectId(tutorId) : null,
+          amount: paymentIntent.amount / 100,
+          currency: paymentIntent.currency,
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// Mirror Stripe refund totals onto the payment record and the ledger
+async function recordRefund(charge) {
+  const { status, refundedAmount } = chargeRefundState(charge);
+
+  // Totals only grow - a late, older report never lowers them
+  const payment = await paymentsCollection.findOneAndUpdate(
+    {
+      transactionId: charge.payment_intent,
+      refundedAmount: { $not: { $gt: refundedAmount } },
+    },
+    {
+      $set: {
+        status,
+        refundedAmount,
+        refundedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: "after" },
+  );
+
+  if (payment) await recordLedgerRefund(payment);
+}
+
+// POST - Stripe webhook (signed by Stripe, no Firebase token)
+app.post("/api/webhooks/stripe", ensureDBConnection, async (req, res) => {
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers["stripe-signature"],
+      process.env.STRIPE_WEBHOOK_SECRET,
+    );
+  } catch (error) {
+    console.error("Stripe webhook signature error:", error.message);
+    return res.status(400).send({
+      success: false,
+      error: "Invalid webhook signature",
+    });
+  }
+
+  try {
+    // Stripe retries deliveries - skip events we already handled
+    const processed = await webhookEventsCollection.findOne({
+      _id: event.id,
+      processedAt: { $exists: true },
+    });
+
+    if (processed) {
+      return res.send({ received: true, duplicate: true });
+    }
+
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        // Monthly invoices carry an invoiceId, hires their application
+        if (event.data.object.metadata?.invoiceId) {
+          await recordInvoicePayment(
+            fromStripePaymentIntent(event.data.object),
+          );
+        } else if (hasHireMetadata(event.data.object)) {
+          await completeHire(event.data.object);
+        } else {
+          // Not one of ours (e.g. created in the dashboard) - retrying
+          // won't change that, so acknowledge it
+          console.log(
+            `Skipping payment intent ${event.data.object.id} without hire or invoice metadata`,
+          );
+        }
+        break;
+      case "payment_intent.payment_failed":
+        await recordFailedPayment(event.data.object);
+        break;
+      case "charge.refunded":
+        await recordRefund(event.data.object);
+        break;
+      default:
+        console.log(`Unhandled Stripe event type: ${event.type}`);
+    }
+
+    await webhookEventsCollection.updateOne(
+      { _id: event.id },
+      { $set: { type: event.type, processedAt: new Date() } },
+      { upsert: true },
+    );
+
+    console.log(`✅ Stripe event processed: ${event.type} (${event.id})`);
+    res.send({ received: true });
+  } catch (error) {
+    console.error("Error processing Stripe webhook:", error);
+    // Non-2xx makes Stripe retry the delivery later
+    res.status(500).send({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST - Payment success (client callback, verified against Stripe)
+app.post(
+  "/api/payment/success",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const { applicationId, paymentIntentId } = req.body;
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!paymentIntentId) {
+        return res.status(400).send({
+          success: false,
+          error: "Payment intent ID is required",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+
+      // Never trust the browser - ask Stripe what actually happened
+      const paymentIntent =
+        await stripe.paymentIntents.retrieve(paymentIntentId);
+
+      if (
+        paymentIntent.metadata?.applicationId !== applicationId ||
+        paymentIntent.metadata?.studentId !== student._id.toString()
+      ) {
+        return res.status(403).send({
+          success: false,
+          error: "Payment does not belong to this application",
+        });
+      }
+
+      if (paymentIntent.status !== "succeeded") {
+        return res.status(400).send({
+          success: false,
+          error: `Payment has not succeeded (status: ${paymentIntent.status})`,
+          code: "PAYMENT_NOT_SUCCEEDED",
+        });
+      }
+
+      const result = await completeHire(paymentIntent);
+
+      if (result.refunded) {
+        return res.status(409).send({
+          success: false,
+          error:
+            "All tutor slots were filled before the payment went through - it has been refunded",
+          code: "SLOTS_FILLED",
+        });
+      }
+
+      res.send({
+        success: true,
+        message: "Payment successful and tutor approved",
+      });
+    } catch (error) {
+      console.error("Error processing payment success:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Payment history (Student only - ei API change korte hobe)
+app.get(
+  "/api/payments/history",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]), // 👈 Add this
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const { page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      // Student only filter
+      const filter = { studentId: user._id };
+
+      const payments = await paymentsCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await paymentsCollection.countDocuments(filter);
+
+      // Get tutor details
+      const paymentsWithDetails = await Promise.all(
+        payments.map(async (payment) => {
+          const tuition = await tuitionsCollection.findOne(
+            { _id: payment.tuitionId },
+            { projection: { title: 1, subject: 1 } },
+          );
+
+          const tutor = await usersCollection.findOne(
+            { _id: payment.tutorId },
+            { projection: { name: 1, photoURL: 1 } },
+          );
+
+          return {
+            ...payment,
+            tuitionDetails: tuition,
+            tutorDetails: tutor,
+          };
+        }),
+      );
+
+      res.send({
+        success: true,
+        data: paymentsWithDetails,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching payment history:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// Give a payment the next receipt number (once). Losing a race to a
+// concurrent call leaves a gap in the sequence but never a duplicate.
+async function assignReceiptNumber(payment) {
+  if (payment.receiptNumber) return payment.receiptNumber;
+
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: "receipt" },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: "after" },
+  );
+  const receiptNumber = formatReceiptNumber(counter.seq);
+
+  const result = await paymentsCollection.updateOne(
+    { _id: payment._id, receiptNumber: { $exists: false } },
+    { $set: { receiptNumber } },
+  );
+
+  if (result.modifiedCount === 0) {
+    const current = await paymentsCollection.findOne(
+      { _id: payment._id },
+      { projection: { receiptNumber: 1 } },
+    );
+    return current.receiptNumber;
+  }
+
+  return receiptNumber;
+}
+
+// GET - PDF receipt for a payment (paying student, paid tutor or admin)
+app.get(
+  "/api/payments/:id/receipt",
+  ensureDBConnection,
+  verifyToken,
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { id } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid payment ID",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const payment = await paymentsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!payment) {
+        return res.status(404).send({
+          success: false,
+          error: "Payment not found",
+        });
+      }
+
+      const allowed =
+        user.role === "admin" ||
+        payment.studentId?.equals(user._id) ||
+        payment.tutorId?.equals(user._id);
+
+      if (!allowed) {
+        return res.status(403).send({
+          success: false,
+          error: "You don't have permission to view this receipt",
+        });
+      }
+
+      if (!SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+        return res.status(400).send({
+          success: false,
+          error: "Receipts are only available for completed payments",
+        });
+      }
+
+      payment.receiptNumber = await assignReceiptNumber(payment);
+
+      const [tuition, student, tutor] = await Promise.all([
+        tuitionsCollection.findOne(
+          { _id: payment.tuitionId },
+          { projection: { title: 1, subject: 1, class: 1 } },
+        ),
+        usersCollection.findOne(
+          { _id: payment.studentId },
+          { projection: { name: 1, email: 1 } },
+        ),
+        usersCollection.findOne(
+          { _id: payment.tutorId },
+          { projection: { name: 1, email: 1 } },
+        ),
+      ]);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="receipt-${payment.receiptNumber}.pdf"`,
+      );
+      writeReceiptPdf(res, { payment, tuition, student, tutor });
+    } catch (error) {
+      console.error("Error generating receipt:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Cancellation & Refund APIs =============
+// =============================================
+// =============================================
+
+// Refund part or all of a payment through Stripe and mirror it on the record.
+// The idempotency key makes a retried resolution reuse the same refund, and
+// the totals come from Stripe's charge (see refunds.js).
+async function refundPayment(payment, amount, { reason, idempotencyKey }) {
+  const refund = await createRefund(stripe, payment, amount, {
+    reason,
+    idempotencyKey,
+  });
+
+  // A retry gets the same refund back - list it once
+  await paymentsCollection.updateOne(
+    { _id: payment._id, "refunds.refundId": { $ne: refund.id } },
+    {
+      $push: {
+        refunds: {
+          refundId: refund.id,
+          amount: refund.amount / 100,
+          reason,
+          createdAt: new Date(),
+        },
+      },
+    },
+  );
+
+  await recordRefund(refund.charge);
+
+  return refund;
+}
+
+// POST - Request cancellation of a hired tutor (Student only)
+app.post(
+  "/api/tuitions/:id/cancellation",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const tuitionId = req.params.id;
+      const { applicationId, reason } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(tuitionId) || !ObjectId.isValid(applicationId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tuition or application ID",
+        });
+      }
+
+      if (!reason?.trim()) {
+        return res.status(400).send({
+          success: false,
+          error: "Please tell us why you want to cancel",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const tuition = await tuitionsCollection.findOne({
+        _id: new ObjectId(tuitionId),
+        studentId: student._id,
+      });
+
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found or you don't have permission",
+        });
+      }
+
+      // Only a hired (approved) tutor on this tuition can be cancelled
+      const application = await applicationsCollection.findOne({
+        _id: new ObjectId(applicationId),
+        tuitionPostId: tuition._id,
+        status: "approved",
+      });
+
+      if (!application) {
+        return res.status(400).send({
+          success: false,
+          error: "No hired tutor found for this application",
+        });
+      }
+
+      const openRequest = await cancellationRequestsCollection.findOne({
+        applicationId: application._id,
+        status: "pending",
+      });
+
+      if (openRequest) {
+        return res.status(400).send({
+          success: false,
+          error:
+            "A cancellation request for this tutor is already under review",
+        });
+      }
+
+      const newRequest = {
+        tuitionId: tuition._id,
+        tuitionTitle: tuition.title,
+        applicationId: application._id,
+        studentId: student._id,
+        tutorId: application.tutorId,
+        reason: reason.trim(),
+        tutorResponse: null,
+        status: "pending", // pending, approved, rejected
+        resolution: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await cancellationRequestsCollection.insertOne(newRequest);
+
+      await createNotification({
+        userId: application.tutorId,
+        type: "cancellation_requested",
+        title: "Cancellation requested",
+        message: `${student.name} asked to cancel "${tuition.title}". You can respond before an admin decides.`,
+        data: { tuitionId: tuition._id, cancellationId: result.insertedId },
+      });
+
+      console.log(`✅ Cancellation requested for tuition: ${tuitionId}`);
+      res.status(201).send({
+        success: true,
+        message: "Cancellation request submitted for review",
+        data: { ...newRequest, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error requesting cancellation:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - My cancellation requests (Student or Tutor)
+app.get(
+  "/api/cancellations",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const filter = { [`${user.role}Id`]: user._id };
+
+      const requests = await cancellationRequestsCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      res.send({
+        success: true,
+        data: requests,
+      });
+    } catch (error) {
+      console.error("Error fetching cancellations:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// POST - Tutor's side of the story (Tutor only)
+app.post(
+  "/api/cancellations/:requestId/response",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { requestId } = req.params;
+      const { message } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(requestId) || !message?.trim()) {
+        return res.status(400).send({
+          success: false,
+          error: "A valid request ID and message are required",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const result = await cancellationRequestsCollection.updateOne(
+        {
+          _id: new ObjectId(requestId),
+          tutorId: tutor._id,
+          status: "pending",
+        },
+        {
+          $set: {
+            tutorResponse: { message: message.trim(), createdAt: new Date() },
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).send({
+          success: false,
+          error: "Open cancellation request not found",
+        });
+      }
+
+      res.send({
+        success: true,
+        message: "Response recorded",
+      });
+    } catch (error) {
+      console.error("Error responding to cancellation:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Cancellation arbitration queue (Admin only)
+app.get(
+  "/api/admin/cancellations",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { status = "pending", page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = {};
+      if (status && status !== "all") filter.status = status;
+
+      const requests = await cancellationRequestsCollection
+        .find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await cancellationRequestsCollection.countDocuments(filter);
+
+      // Show what was paid so the admin can decide on a refund
+      const requestsWithPayments = await Promise.all(
+        requests.map(async (request) => {
+          const payments = await paymentsCollection
+            .find(
+              { applicationId: request.applicationId },
+              {
+                projection: {
+                  amount: 1,
+                  refundedAmount: 1,
+                  status: 1,
+                  createdAt: 1,
+                },
+              },
+            )
+            .toArray();
+          return { ...request, payments };
+        }),
+      );
+
+      res.send({
+        success: true,
+        data: requestsWithPayments,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching cancellations:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Resolve a cancellation request with an optional refund (Admin only)
+app.patch(
+  "/api/admin/cancellations/:requestId/resolve",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { requestId } = req.params;
+      const { decision, refundAmount, note } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!["approve", "reject"].includes(decision)) {
+        return res.status(400).send({
+          success: false,
+          error: 'Decision must be "approve" or "reject"',
+        });
+      }
+
+      if (!ObjectId.isValid(requestId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid request ID",
+        });
+      }
+
+      const admin = await usersCollection.findOne({ email });
+      const request = await cancellationRequestsCollection.findOne({
+        _id: new ObjectId(requestId),
+      });
+
+      if (!request) {
+        return res.status(404).send({
+          success: false,
+          error: "Cancellation request not found",
+        });
+      }
+
+      if (request.status !== "pending") {
+        return res.status(400).send({
+          success: false,
+          error: "This request has already been resolved",
+        });
+      }
+
+      if (decision === "reject") {
+        await cancellationRequestsCollection.updateOne(
+          { _id: request._id },
+          {
+            $set: {
+              status: "rejected",
+              resolution: {
+                decision,
+                refundAmount: 0,
+                note: note || "",
+                resolvedBy: admin._id,
+                resolvedAt: new Date(),
+              },
+              updatedAt: new Date(),
+            },
+          },
+        );
+
+        await createNotification({
+          userId: request.studentId,
+          type: "cancellation_rejected",
+          title: "Cancellation request declined",
+          message: note
+            ? `Your cancellation for "${request.tuitionTitle}" was declined: ${note}`
+            : `Your cancellation for "${request.tuitionTitle}" was declined`,
+          data: { tuitionId: request.tuitionId, cancellationId: request._id },
+        });
+
+        return res.send({
+          success: true,
+          message: "Cancellation request rejected",
+        });
+      }
+
+      // Approve - refund the latest payment, hire or monthly (full by default)
+      const payment = await paymentsCollection.findOne(
+        {
+          applicationId: request.applicationId,
+          status: { $in: ["completed", "partially_refunded"] },
+        },
+        { sort: { createdAt: -1 } },
+      );
+
+      const refundable = refundableAmount(payment);
+      const { amount, error } = parseRefundAmount(refundAmount, refundable);
+
+      if (error) {
+        return res.status(400).send({
+          success: false,
+          error,
+        });
+      }
+
+      if (amount > 0) {
+        await refundPayment(payment, amount, {
+          reason: "tuition_cancelled",
+          idempotencyKey: `cancellation-${request._id}`,
+        });
+      }
+
+      // Release the tutor from the tuition and stop billing for them
+      await applicationsCollection.updateOne(
+        { _id: request.applicationId },
+        {
+          $set: {
+            status: "cancelled",
+            nextBillingDate: null,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      await invoicesCollection.updateMany(
+        {
+          applicationId: request.applicationId,
+          status: { $in: PAYABLE_INVOICE_STATUSES },
+        },
+        {
+          $set: {
+            status: "void",
+            voidReason: "tuition_cancelled",
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      const tuition = await tuitionsCollection.findOneAndUpdate(
+        { _id: request.tuitionId },
+        {
+          $pull: { tutorIds: request.tutorId },
+          $set: { updatedAt: new Date() },
+        },
+        { returnDocument: "after" },
+      );
+
+      // Last tutor gone - the tuition itself is cancelled
+      if (tuition?.status === "ongoing" && tuition.tutorIds.length === 0) {
+        await transitionTuition(tuitionsCollection, tuition, "cancelled", {
+          role: "admin",
+          actorId: admin._id,
+          reason: request.reason,
+        });
+      }
+
+      await cancellationRequestsCollection.updateOne(
+        { _id: request._id },
+        {
+          $set: {
+            status: "approved",
+            resolution: {
+              decision,
+              refundAmount: amount,
+              refundType: refundType(amount, refundable),
+              note: note || "",
+              resolvedBy: admin._id,
+              resolvedAt: new Date(),
+            },
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      for (const userId of [request.studentId, request.tutorId]) {
+        await createNotification({
+          userId,
+          type: "cancellation_approved",
+          title: "Tuition cancelled",
+          message:
+            amount > 0
+              ? `"${request.tuitionTitle}" was cancelled and ${amount} was refunded to the student`
+              : `"${request.tuitionTitle}" was cancelled without a refund`,
+          data: { tuitionId: request.tuitionId, cancellationId: request._id },
+        });
+      }
+
+      console.log(`✅ Cancellation approved: ${requestId} (refund ${amount})`);
+      res.send({
+        success: true,
+        message: "Cancellation approved",
+        data: { refundAmount: amount },
+      });
+    } catch (error) {
+      console.error("Error resolving cancellation:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Attendance APIs =============
+// =============================================
+// =============================================
+
+// A tuition with the user's part in it: its student, or a tutor hired for
+// it (now or before a cancellation) together with their application.
+// Returns {} when the user has no part in it.
+async function loadTuitionForAttendance(tuitionId, user) {
+  if (!ObjectId.isValid(tuitionId)) return {};
+
+  const tuition = await tuitionsCollection.findOne({
+    _id: new ObjectId(tuitionId),
+  });
+  if (!tuition) return {};
+
+  if (user.role === "student") {
+    return tuition.studentId.equals(user._id) ? { tuition } : {};
+  }
+
+  const application = await applicationsCollection.findOne({
+    tuitionPostId: tuition._id,
+    tutorId: user._id,
+    status: { $in: ["approved", "cancelled"] },
+  });
+  return application ? { tuition, application } : {};
+}
+
+// Attendance of one hired tutor over [from, to). Classes scheduled before
+// the hire don't count, and neither do today's or later ones - they can't
+// have been missed yet.
+async function getAttendanceSummary(application, tuition, from, to) {
+  const start =
+    application.hiredAt && application.hiredAt > from
+      ? parseSessionDate(application.hiredAt.toISOString().slice(0, 10))
+      : from;
+  const today = parseSessionDate(new Date().toISOString().slice(0, 10));
+  const end = to < today ? to : today;
+
+  const sessions = await sessionsCollection
+    .find(
+      { applicationId: application._id, date: { $gte: from, $lt: to } },
+      { projection: { status: 1, durationMinutes: 1 } },
+    )
+    .toArray();
+
+  return summariseAttendance(sessions, {
+    scheduled: countScheduledSessions(tuition?.schedule?.slots, start, end),
+  });
+}
+
+// POST - Log a session for a tuition I teach (Tutor only)
+app.post(
+  "/api/tuitions/:id/sessions",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { date, durationMinutes, topics, notes } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const { tuition, application } = await loadTuitionForAttendance(
+        req.params.id,
+        tutor,
+      );
+
+      if (!tuition || application.status !== "approved") {
+        return res.status(404).send({
+          success: false,
+          error: "You are not teaching this tuition",
+        });
+      }
+
+      if (!["active", "ongoing"].includes(tuition.status)) {
+        return res.status(400).send({
+          success: false,
+          error: `Sessions can't be logged for a ${tuition.status} tuition`,
+          code: "INVALID_STATUS",
+        });
+      }
+
+      // A past or today's date, not before the hire
+      const sessionDate = parseSessionDate(date);
+      const hiredOn = application.hiredAt
+        ? parseSessionDate(application.hiredAt.toISOString().slice(0, 10))
+        : null;
+      if (
+        !sessionDate ||
+        sessionDate > new Date() ||
+        (hiredOn && sessionDate < hiredOn)
+      ) {
+        return res.status(400).send({
+          success: false,
+          error: "date must be a YYYY-MM-DD day between the hire and today",
+        });
+      }
+
+      const minutes = Number(durationMinutes);
+      if (
+        !Number.isInteger(minutes) ||
+        minutes < SESSION_MIN_MINUTES ||
+        minutes > SESSION_MAX_MINUTES
+      ) {
+        return res.status(400).send({
+          success: false,
+          error: `durationMinutes must be a whole number from ${SESSION_MIN_MINUTES} to ${SESSION_MAX_MINUTES}`,
+        });
+      }
+
+      // A list or a comma separated string
+      const topicList = (
+        Array.isArray(topics) ? topics : String(topics || "").split(",")
+      )
+        .map((topic) => String(topic).trim())
+        .filter(Boolean)
+        .slice(0, 20);
+
+      // One session per scheduled class that day. `slot` numbers them, and
+      // the unique index on it turns a concurrent double log into a 409.
+      const taken = await sessionsCollection.distinct("slot", {
+        applicationId: application._id,
+        date: sessionDate,
+      });
+      const slot = [
+        ...Array(
+          sessionsAllowedOn(tuition.schedule?.slots, sessionDate),
+        ).keys(),
+      ].find((number) => !taken.includes(number));
+      if (slot === undefined) {
+        return res.status(409).send({
+          success: false,
+          error: `Every class scheduled on ${date} has already been logged`,
+          code: "SESSION_EXISTS",
+        });
+      }
+
+      const now = new Date();
+      const session = {
+        tuitionId: tuition._id,
+        applicationId: application._id,
+        tutorId: tutor._id,
+        studentId: tuition.studentId,
+        date: sessionDate,
+        slot,
+        durationMinutes: minutes,
+        topics: topicList,
+        notes: notes?.trim() || "",
+        status: "pending",
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      let result;
+      try {
+        result = await sessionsCollection.insertOne(session);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        return res.status(409).send({
+          success: false,
+          error: `A session for ${date} was logged at the same time`,
+          code: "SESSION_EXISTS",
+        });
+      }
+
+      await createNotification({
+        userId: tuition.studentId,
+        type: "session_logged",
+        title: "Class logged",
+        message: `${tutor.name} logged a ${minutes}-minute class for "${tuition.title}" on ${date}. Please confirm it.`,
+        data: { tuitionId: tuition._id, sessionId: result.insertedId },
+      });
+
+      res.status(201).send({
+        success: true,
+        message: "Session logged",
+        data: { ...session, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error logging session:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Sessions of a tuition for one month (?month=YYYY-MM, default this
+// month) with each tutor's attendance summary (Student or hired Tutor)
+app.get(
+  "/api/tuitions/:id/sessions",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const month = req.query.month || new Date().toISOString().slice(0, 7);
+      const range = monthRange(month);
+      if (!range) {
+        return res.status(400).send({
+          success: false,
+          error: "month must be YYYY-MM",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const { tuition, application } = await loadTuitionForAttendance(
+        req.params.id,
+        user,
+      );
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found",
+        });
+      }
+
+      // Tutors see their own sessions, students every hired tutor's
+      const applications = application
+        ? [application]
+        : await applicationsCollection
+            .find({
+              tuitionPostId: tuition._id,
+              status: { $in: ["approved", "cancelled"] },
+            })
+            .toArray();
+
+      const sessions = await sessionsCollection
+        .find({
+          applicationId: { $in: applications.map((hire) => hire._id) },
+          date: { $gte: range.from, $lt: range.to },
+        })
+        .sort({ date: 1, createdAt: 1 })
+        .toArray();
+
+      const summaries = await Promise.all(
+        applications.map(async (hire) => ({
+          applicationId: hire._id,
+          tutorId: hire.tutorId,
+          tutorName: hire.tutorName,
+          ...(await getAttendanceSummary(hire, tuition, range.from, range.to)),
+        })),
+      );
+
+      res.send({
+        success: true,
+        month,
+        data: sessions,
+        summaries,
+      });
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Monthly attendance summaries of a tuition, newest month first
+// (?months=6, max 24) (Student or hired Tutor)
+app.get(
+  "/api/tuitions/:id/attendance",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const { tuition, application } = await loadTuitionForAttendance(
+        req.params.id,
+        user,
+      );
+      if (!tuition) {
+        return res.status(404).send({
+          success: false,
+          error: "Tuition not found",
+        });
+      }
+
+      const applications = application
+        ? [application]
+        : await applicationsCollection
+            .find({
+              tuitionPostId: tuition._id,
+              status: { $in: ["approved", "cancelled"] },
+            })
+            .toArray();
+
+      const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 24);
+      const thisMonth = monthRange(new Date().toISOString().slice(0, 7)).from;
+
+      const data = [];
+      for (let i = 0; i < months; i++) {
+        const month = addMonths(thisMonth, -i).toISOString().slice(0, 7);
+        const range = monthRange(month);
+
+        const tutors = [];
+        for (const hire of applications) {
+          // Months before the hire have nothing to show
+          if (hire.hiredAt && hire.hiredAt >= range.to) continue;
+          tutors.push({
+            applicationId: hire._id,
+            tutorId: hire.tutorId,
+            tutorName: hire.tutorName,
+            ...(await getAttendanceSummary(
+              hire,
+              tuition,
+              range.from,
+              range.to,
+            )),
+          });
+        }
+        data.push({ month, tutors });
+      }
+
+      res.send({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      console.error("Error fetching attendance:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Confirm or dispute a logged session (Student only)
+app.patch(
+  "/api/sessions/:id/:action",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { id, action } = req.params;
+      const reason = req.body?.reason?.trim();
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const targets = { confirm: "confirmed", dispute: "disputed" };
+      if (!targets[action]) {
+        return res.status(400).send({
+          success: false,
+          error: 'Action must be "confirm" or "dispute"',
+        });
+      }
+
+      if (action === "dispute" && !reason) {
+        return res.status(400).send({
+          success: false,
+          error: "Please give a reason for the dispute",
+        });
+      }
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid session ID",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const session = await sessionsCollection.findOne({
+        _id: new ObjectId(id),
+        studentId: student._id,
+      });
+      if (!session) {
+        return res.status(404).send({
+          success: false,
+          error: "Session not found",
+        });
+      }
+
+      // Pending sessions can be confirmed or disputed; a confirmed one can
+      // still be disputed, but a dispute stands
+      const allowedFrom =
+        action === "confirm" ? ["pending"] : ["pending", "confirmed"];
+      const now = new Date();
+      const result = await sessionsCollection.updateOne(
+        { _id: session._id, status: { $in: allowedFrom } },
+        {
+          $set: {
+            status: targets[action],
+            ...(action === "dispute"
+              ? { disputeReason: reason, disputedAt: now }
+              : { confirmedAt: now }),
+            updatedAt: now,
+          },
+        },
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(400).send({
+          success: false,
+          error: `This session is already ${session.status}`,
+          code: "INVALID_TRANSITION",
+        });
+      }
+
+      if (action === "dispute") {
+        await createNotification({
+          userId: session.tutorId,
+          type: "session_disputed",
+          title: "Class disputed",
+          message: `${student.name} disputed the class logged on ${session.date.toISOString().slice(0, 10)}: ${reason}`,
+          data: { tuitionId: session.tuitionId, sessionId: session._id },
+        });
+      }
+
+      res.send({
+        success: true,
+        message: `Session ${targets[action]}`,
+      });
+    } catch (error) {
+      console.error("Error updating session:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// DELETE - Remove a session the student hasn't answered yet (Tutor only)
+app.delete(
+  "/api/sessions/:id",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid session ID",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const result = await sessionsCollection.deleteOne({
+        _id: new ObjectId(req.params.id),
+        tutorId: tutor._id,
+        status: "pending",
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).send({
+          success: false,
+          error: "No pending session found",
+        });
+      }
+
+      res.send({
+        success: true,
+        message: "Session deleted",
+      });
+    } catch (error) {
+      console.error("Error deleting session:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Billing APIs =============
+// =============================================
+// =============================================
+
+// Settle an invoice from a succeeded gateway payment. Like completeHire this
+// is safe to repeat - the unique transactionId index records it only once.
+async function recordInvoicePayment(gatewayPayment) {
+  const { invoiceId } = gatewayPayment.metadata;
+
+  if (!ObjectId.isValid(invoiceId)) {
+    throw new Error(
+      `Payment ${gatewayPayment.id} has invalid invoice metadata`,
+    );
+  }
+
+  const invoice = await invoicesCollection.findOne({
+    _id: new ObjectId(invoiceId),
+  });
+
+  if (!invoice) {
+    throw new Error(`Invoice ${invoiceId} not found`);
+  }
+
+  let payment;
+  let duplicate = false;
+  try {
+    payment = await paymentsCollection.findOneAndUpdate(
+      {
+        transactionId: gatewayPayment.id,
+        status: { $nin: SETTLED_PAYMENT_STATUSES },
+      },
+      {
+        $set: {
+          type: "invoice",
+          invoiceId: invoice._id,
+          applicationId: invoice.applicationId,
+          tuitionId: invoice.tuitionId,
+          studentId: invoice.studentId,
+          tutorId: invoice.tutorId,
+          amount: gatewayPayment.amount,
+          currency: gatewayPayment.currency,
+          status: "completed",
+          updatedAt: new Date(),
+        },
+        $unset: { failureMessage: "" },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true, returnDocument: "after" },
+    );
+  } catch (error) {
+    // Duplicate key - the payment was already recorded as completed
+    if (error.code !== 11000) throw error;
+    duplicate = true;
+    payment = await paymentsCollection.findOne({
+      transactionId: gatewayPayment.id,
+    });
+  }
+
+  // Only an invoice that is still owed can be settled. One voided (e.g. by
+  // a cancellation) or paid by another payment while this one was in flight
+  // isn't - the payment is refunded instead.
+  const settled = await invoicesCollection.updateOne(
+    { _id: invoice._id, status: { $in: PAYABLE_INVOICE_STATUSES } },
+    {
+      $set: {
+        status: "paid",
+        paidAt: new Date(),
+        paymentId: payment._id,
+        updatedAt: new Date(),
+      },
+    },
+  );
+  if (settled.matchedCount === 0) {
+    const current = await invoicesCollection.findOne({ _id: invoice._id });
+    if (current.paymentId?.toString() !== payment._id.toString()) {
+      return refundUnbilledPayment(payment, current);
+    }
+  }
+
+  // Repeat-safe steps run on retries too, in case an earlier delivery
+  // failed after recording the payment
+  await recordLedgerEarning(payment);
+  payment.receiptNumber = await assignReceiptNumber(payment);
+
+  if (duplicate) return { duplicate: true };
+
+  await createNotification({
+    userId: invoice.tutorId,
+    type: "invoice_paid",
+    title: "Monthly fee received",
+    message: `The student paid the ${invoice.amount} invoice for "${invoice.tuitionTitle}"`,
+    data: { tuitionId: invoice.tuitionId, invoiceId: invoice._id },
+  });
+
+  const [student, tuition, application] = await Promise.all([
+    usersCollection.findOne({ _id: invoice.studentId }),
+    tuitionsCollection.findOne({ _id: invoice.tuitionId }),
+    applicationsCollection.findOne({ _id: invoice.applicationId }),
+  ]);
+
+  await sendEmail(student, "paymentReceipt", { tuition, application, payment });
+
+  return { duplicate: false };
+}
+
+// A payment for an invoice that was voided or already paid by the time it
+// went through - refund it in full without booking an earning
+async function refundUnbilledPayment(payment, invoice) {
+  const refundable = refundableAmount(payment);
+  if (refundable <= 0) return { duplicate: true };
+
+  await paymentsCollection.updateOne(
+    { _id: payment._id },
+    { $set: { unbilled: true, updatedAt: new Date() } },
+  );
+  await refundPayment(payment, refundable, {
+    reason: `invoice_${invoice.status}`,
+    idempotencyKey: `invoice-unbilled-${payment.transactionId}`,
+  });
+
+  await createNotification({
+    userId: payment.studentId,
+    type: "invoice_payment_refunded",
+    title: "Payment refunded",
+    message:
+      invoice.status === "void"
+        ? `The invoice for "${invoice.tuitionTitle}" was cancelled before your payment went through, so ${refundable} was refunded`
+        : `The invoice for "${invoice.tuitionTitle}" was already paid, so ${refundable} was refunded`,
+    data: { tuitionId: invoice.tuitionId, invoiceId: invoice._id },
+  });
+
+  console.log(
+    `⚠️ Invoice payment ${payment.transactionId} refunded - invoice is ${invoice.status}`,
+  );
+  return { duplicate: false, refunded: true, invoiceStatus: invoice.status };
+}
+
+// Load an invoice the signed-in student or tutor is billed on
+async function loadInvoiceForUser(invoiceId, user) {
+  if (!ObjectId.isValid(invoiceId)) return null;
+
+  return invoicesCollection.findOne({
+    _id: new ObjectId(invoiceId),
+    [`${user.role}Id`]: user._id,
+  });
+}
+
+// GET - My invoices (Student or Tutor)
+app.get(
+  "/api/invoices",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const { status, page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { [`${user.role}Id`]: user._id };
+      if (status) {
+        if (!INVOICE_STATUSES.includes(status)) {
+          return res.status(400).send({
+            success: false,
+            error: `Status must be one of: ${INVOICE_STATUSES.join(", ")}`,
+          });
+        }
+        filter.status = status;
+      }
+
+      const invoices = await invoicesCollection
+        .find(filter)
+        .sort({ dueDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await invoicesCollection.countDocuments(filter);
+
+      const [outstanding] = await invoicesCollection
+        .aggregate([
+          {
+            $match: {
+              [`${user.role}Id`]: user._id,
+              status: { $in: PAYABLE_INVOICE_STATUSES },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              amount: { $sum: "$amount" },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+
+      res.send({
+        success: true,
+        data: invoices,
+        summary: {
+          outstandingAmount: outstanding?.amount || 0,
+          outstandingInvoices: outstanding?.count || 0,
+        },
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching invoices:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Single invoice (Student or Tutor)
+app.get(
+  "/api/invoices/:id",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student", "tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const user = await usersCollection.findOne({ email });
+      const invoice = await loadInvoiceForUser(req.params.id, user);
+
+      if (!invoice) {
+        return res.status(404).send({
+          success: false,
+          error: "Invoice not found",
+        });
+      }
+
+      res.send({
+        success: true,
+        data: { ...invoice, attendance: await getInvoiceAttendance(invoice) },
+      });
+    } catch (error) {
+      console.error("Error fetching invoice:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// POST - Pay an invoice now (Student only)
+app.post(
+  "/api/invoices/:id/pay",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const invoice = await loadInvoiceForUser(req.params.id, student);
+
+      if (!invoice) {
+        return res.status(404).send({
+          success: false,
+          error: "Invoice not found",
+        });
+      }
+
+      if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+        return res.status(400).send({
+          success: false,
+          error: `This invoice is ${invoice.status}`,
+          code: "INVOICE_NOT_PAYABLE",
+        });
+      }
+
+      // Reuse the payment already started for this invoice if it can still
+      // be completed, so retries don't open a second charge
+      if (invoice.gatewayPaymentId) {
+        const existing = await billingGateway.retrievePayment(
+          invoice.gatewayPaymentId,
+        );
+
+        if (existing.status === "succeeded") {
+          await recordInvoicePayment(existing);
+          return res.status(400).send({
+            success: false,
+            error: "This invoice has already been paid",
+            code: "INVOICE_NOT_PAYABLE",
+          });
+        }
+
+        if (existing.status === "pending") {
+          return res.send({
+            success: true,
+            clientSecret: existing.clientSecret,
+            data: { invoiceId: invoice._id, amount: invoice.amount },
+          });
+        }
+      }
+
+      const attempt = (invoice.paymentAttempts || 0) + 1;
+      const gatewayPayment = await billingGateway.createPayment(invoice, {
+        idempotencyKey: `invoice-${invoice._id}-${attempt}`,
+      });
+
+      await invoicesCollection.updateOne(
+        { _id: invoice._id },
+        {
+          $set: {
+            gatewayPaymentId: gatewayPayment.id,
+            paymentAttempts: attempt,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      res.send({
+        success: true,
+        clientSecret: gatewayPayment.clientSecret,
+        data: { invoiceId: invoice._id, amount: invoice.amount },
+      });
+    } catch (error) {
+      console.error("Error starting invoice payment:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// POST - Confirm an invoice payment (client callback, verified with the gateway)
+app.post(
+  "/api/invoices/:id/confirm",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const invoice = await loadInvoiceForUser(req.params.id, student);
+
+      if (!invoice) {
+        return res.status(404).send({
+          success: false,
+          error: "Invoice not found",
+        });
+      }
+
+      if (!invoice.gatewayPaymentId) {
+        return res.status(400).send({
+          success: false,
+          error: "No payment has been started for this invoice",
+        });
+      }
+
+      const gatewayPayment = await billingGateway.retrievePayment(
+        invoice.gatewayPaymentId,
+      );
+
+      if (gatewayPayment.status !== "succeeded") {
+        return res.status(400).send({
+          success: false,
+          error: "Payment has not succeeded yet",
+          code: "PAYMENT_NOT_SUCCEEDED",
+        });
+      }
+
+      const result = await recordInvoicePayment(gatewayPayment);
+
+      if (result.refunded) {
+        return res.status(409).send({
+          success: false,
+          error: `This invoice is ${result.invoiceStatus} - the payment has been refunded`,
+          code: "INVOICE_NOT_PAYABLE",
+        });
+      }
+
+      res.send({
+        success: true,
+        message: "Invoice paid",
+      });
+    } catch (error) {
+      console.error("Error confirming invoice payment:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// Attendance over an invoice's billing period (whole days) - what decides
+// disputes about it
+async function getInvoiceAttendance(invoice) {
+  const [application, tuition] = await Promise.all([
+    applicationsCollection.findOne({ _id: invoice.applicationId }),
+    tuitionsCollection.findOne(
+      { _id: invoice.tuitionId },
+      { projection: { schedule: 1 } },
+    ),
+  ]);
+  if (!application) return null;
+
+  const day = (date) => parseSessionDate(date.toISOString().slice(0, 10));
+  return getAttendanceSummary(
+    application,
+    tuition,
+    day(invoice.periodStart),
+    day(invoice.periodEnd),
+  );
+}
+
+// POST - Dispute a paid invoice over missed classes (Student only)
+app.post(
+  "/api/invoices/:id/dispute",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["student"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const reason = req.body?.reason?.trim();
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!reason) {
+        return res.status(400).send({
+          success: false,
+          error: "Please give a reason for the dispute",
+        });
+      }
+
+      const student = await usersCollection.findOne({ email });
+      const invoice = await loadInvoiceForUser(req.params.id, student);
+      if (!invoice) {
+        return res.status(404).send({
+          success: false,
+          error: "Invoice not found",
+        });
+      }
+
+      // Unpaid invoices are settled by cancelling instead; one dispute each
+      if (invoice.status !== "paid" || invoice.dispute) {
+        return res.status(400).send({
+          success: false,
+          error: invoice.dispute
+            ? "This invoice has already been disputed"
+            : "Only paid invoices can be disputed",
+          code: "INVALID_STATUS",
+        });
+      }
+
+      // The refund is a share of the whole period, so wait until every
+      // class in it was due
+      if (invoice.periodEnd > new Date()) {
+        return res.status(400).send({
+          success: false,
+          error: "Invoices can be disputed once their billing period has ended",
+          code: "PERIOD_NOT_ENDED",
+        });
+      }
+
+      const attendance = await getInvoiceAttendance(invoice);
+      const dispute = {
+        status: "open",
+        reason,
+        attendance,
+        suggestedRefund: attendance
+          ? suggestedRefund(invoice.amount, attendance)
+          : 0,
+        openedAt: new Date(),
+      };
+
+      const result = await invoicesCollection.updateOne(
+        { _id: invoice._id, dispute: { $exists: false } },
+        { $set: { dispute, updatedAt: new Date() } },
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(400).send({
+          success: false,
+          error: "This invoice has already been disputed",
+          code: "INVALID_STATUS",
+        });
+      }
+
+      await createNotification({
+        userId: invoice.tutorId,
+        type: "invoice_disputed",
+        title: "Invoice disputed",
+        message: `${student.name} disputed the invoice for "${invoice.tuitionTitle}" (${dispute.attendance?.missed ?? 0} missed class(es))`,
+        data: { tuitionId: invoice.tuitionId, invoiceId: invoice._id },
+      });
+
+      res.status(201).send({
+        success: true,
+        message: "Dispute submitted for review",
+        data: dispute,
+      });
+    } catch (error) {
+      console.error("Error disputing invoice:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Invoice disputes, oldest first (Admin only)
+app.get(
+  "/api/admin/invoice-disputes",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { status = "open", page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { dispute: { $exists: true } };
+      if (status && status !== "all") filter["dispute.status"] = status;
+
+      const invoices = await invoicesCollection
+        .find(filter)
+        .sort({ "dispute.openedAt": 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await invoicesCollection.countDocuments(filter);
+
+      // Current attendance - sessions may have been confirmed since
+      const invoicesWithAttendance = await Promise.all(
+        invoices.map(async (invoice) => {
+          if (invoice.dispute.status !== "open") return invoice;
+          const attendance = await getInvoiceAttendance(invoice);
+          return {
+            ...invoice,
+            attendance,
+            suggestedRefund: attendance
+              ? suggestedRefund(invoice.amount, attendance)
+              : 0,
+          };
+        }),
+      );
+
+      res.send({
+        success: true,
+        data: invoicesWithAttendance,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching invoice disputes:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Resolve an invoice dispute (Admin only). "refund" refunds
+// `refundAmount`, by default the attendance-based suggestion.
+app.patch(
+  "/api/admin/invoices/:id/dispute",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { decision, refundAmount, note } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!["refund", "reject"].includes(decision)) {
+        return res.status(400).send({
+          success: false,
+          error: 'Decision must be "refund" or "reject"',
+        });
+      }
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid invoice ID",
+        });
+      }
+
+      const admin = await usersCollection.findOne({ email });
+      const invoice = await invoicesCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+
+      if (!invoice?.dispute) {
+        return res.status(404).send({
+          success: false,
+          error: "Invoice dispute not found",
+        });
+      }
+
+      if (invoice.dispute.status !== "open") {
+        return res.status(400).send({
+          success: false,
+          error: "This dispute has already been resolved",
+        });
+      }
+
+      const attendance = await getInvoiceAttendance(invoice);
+      const suggested = attendance
+        ? suggestedRefund(invoice.amount, attendance)
+        : 0;
+
+      let amount = 0;
+      if (decision === "refund") {
+        const payment = await paymentsCollection.findOne({
+          invoiceId: invoice._id,
+          status: { $in: ["completed", "partially_refunded"] },
+        });
+        const refundable = refundableAmount(payment);
+        const parsed = parseRefundAmount(
+          refundAmount,
+          refundable,
+          Math.min(suggested, refundable),
+        );
+
+        if (parsed.error) {
+          return res.status(400).send({
+            success: false,
+            error: parsed.error,
+          });
+        }
+        amount = parsed.amount;
+
+        if (amount > 0) {
+          await refundPayment(payment, amount, {
+            reason: "attendance_dispute",
+            idempotencyKey: `invoice-dispute-${invoice._id}`,
+          });
+        }
+      }
+
+      await invoicesCollection.updateOne(
+        { _id: invoice._id, "dispute.status": "open" },
+        {
+          $set: {
+            "dispute.status": decision === "refund" ? "refunded" : "rejected",
+            "dispute.resolution": {
+              decision,
+              refundAmount: amount,
+              suggestedRefund: suggested,
+              attendance,
+              note: note || "",
+              resolvedBy: admin._id,
+              resolvedAt: new Date(),
+            },
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      for (const userId of [invoice.studentId, invoice.tutorId]) {
+        await createNotification({
+          userId,
+          type: "invoice_dispute_resolved",
+          title: "Invoice dispute resolved",
+          message:
+            amount > 0
+              ? `${amount} of the invoice for "${invoice.tuitionTitle}" was refunded for missed classes`
+              : `The dispute about "${invoice.tuitionTitle}" was closed without a refund`,
+          data: { tuitionId: invoice.tuitionId, invoiceId: invoice._id },
+        });
+      }
+
+      console.log(
+        `✅ Invoice dispute resolved: ${invoice._id} (refund ${amount})`,
+      );
+      res.send({
+        success: true,
+        message: "Dispute resolved",
+        data: { refundAmount: amount, suggestedRefund: suggested, attendance },
+      });
+    } catch (error) {
+      console.error("Error resolving invoice dispute:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Ledger & Payout APIs =============
+// =============================================
+// =============================================
+
+async function getCommissionSettings() {
+  const stored = await settingsCollection.findOne({ _id: "commission" });
+  return { ...DEFAULT_COMMISSION_SETTINGS, ...stored };
+}
+
+// Split a completed payment into commission and tutor earnings. The unique
+// entryKey makes repeat calls for the same payment a no-op.
+async function recordLedgerEarning(payment) {
+  const [settings, tutor, tuition] = await Promise.all([
+    getCommissionSettings(),
+    usersCollection.findOne(
+      { _id: payment.tutorId },
+      { projection: { plan: 1 } },
+    ),
+    tuitionsCollection.findOne(
+      { _id: payment.tuitionId },
+      { projection: { subject: 1 } },
+    ),
+  ]);
+
+  const rate = resolveCommissionRate(settings, {
+    plan: tutor?.plan,
+    category: tuition?.subject,
+  });
+
+  try {
+    await ledgerEntriesCollection.insertOne({
+      entryKey: `earning:${payment._id}`,
+      type: "earning",
+      tutorId: payment.tutorId,
+      paymentId: payment._id,
+      tuitionId: payment.tuitionId,
+      ...splitAmount(payment.amount, rate),
+      currency: payment.currency,
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// Reverse whatever part of a payment's refunds the ledger hasn't seen yet,
+// at the rate the payment was originally split with
+async function recordLedgerRefund(payment) {
+  const entries = await ledgerEntriesCollection
+    .find({ paymentId: payment._id })
+    .toArray();
+
+  const earning = entries.find((entry) => entry.type === "earning");
+  if (!earning) return;
+
+  const alreadyReversed = entries
+    .filter((entry) => entry.type === "refund")
+    .reduce((sum, entry) => sum - entry.gross, 0);
+  const refunded = Math.min(payment.refundedAmount || 0, payment.amount);
+  const delta = roundMoney(refunded - alreadyReversed);
+  if (delta <= 0) return;
+
+  const split = splitAmount(delta, earning.commissionRate);
+
+  try {
+    await ledgerEntriesCollection.insertOne({
+      entryKey: `refund:${payment._id}:${refunded}`,
+      type: "refund",
+      tutorId: payment.tutorId,
+      paymentId: payment._id,
+      tuitionId: payment.tuitionId,
+      gross: -split.gross,
+      commissionRate: split.commissionRate,
+      commission: -split.commission,
+      net: -split.net,
+      currency: payment.currency,
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    // The webhook and the admin refund can report the same total
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// Pay a tutor out of their balance: a payout record plus its ledger entry
+async function recordPayout({
+  tutorId,
+  amount,
+  method,
+  reference = "",
+  note = "",
+  paidBy,
+  withdrawalId = null,
+}) {
+  const payout = {
+    tutorId,
+    withdrawalId,
+    amount,
+    currency: "bdt",
+    method,
+    reference,
+    note,
+    status: "paid",
+    paidBy,
+    createdAt: new Date(),
+  };
+
+  let created = true;
+  if (withdrawalId) {
+    // One payout per withdrawal - paying it again finishes the same one
+    const result = await payoutsCollection.findOneAndUpdate(
+      { withdrawalId },
+      { $setOnInsert: payout },
+      { upsert: true, returnDocument: "after", includeResultMetadata: true },
+    );
+    Object.assign(payout, result.value);
+    created = !result.lastErrorObject?.updatedExisting;
+  } else {
+    const result = await payoutsCollection.insertOne(payout);
+    payout._id = result.insertedId;
+  }
+
+  try {
+    await ledgerEntriesCollection.insertOne({
+      entryKey: `payout:${payout._id}`,
+      type: "payout",
+      tutorId,
+      payoutId: payout._id,
+      gross: 0,
+      commission: 0,
+      net: -payout.amount,
+      currency: "bdt",
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  if (!created) return payout;
+
+  await createNotification({
+    userId: tutorId,
+    type: "payout_sent",
+    title: "Payout sent",
+    message: `${amount} was paid out to you${reference ? ` (ref ${reference})` : ""}`,
+    data: { payoutId: payout._id, withdrawalId },
+  });
+
+  return payout;
+}
+
+// Earned, commission, paid out and current balance for one tutor. Open
+// withdrawal requests reserve part of the balance until they're settled.
+async function getTutorLedgerSummary(tutorId) {
+  const [reservedTotals] = await withdrawalRequestsCollection
+    .aggregate([
+      { $match: { tutorId, status: { $in: OPEN_WITHDRAWAL_STATUSES } } },
+      { $group: { _id: null, amount: { $sum: "$amount" } } },
+    ])
+    .toArray();
+  const reserved = roundMoney(reservedTotals?.amount || 0);
+
+  const [totals] = await ledgerEntriesCollection
+    .aggregate([
+      { $match: { tutorId } },
+      {
+        $group: {
+          _id: null,
+          earned: {
+            $sum: { $cond: [{ $eq: ["$type", "payout"] }, 0, "$net"] },
+          },
+          commission: { $sum: "$commission" },
+          paidOut: {
+            $sum: {
+              $cond: [{ $eq: ["$type", "payout"] }, { $abs: "$net" }, 0],
+            },
+          },
+          balance: { $sum: "$net" },
+        },
+      },
+    ])
+    .toArray();
+
+  return {
+    earned: roundMoney(totals?.earned || 0),
+    commission: roundMoney(totals?.commission || 0),
+    paidOut: roundMoney(totals?.paidOut || 0),
+    balance: roundMoney(totals?.balance || 0),
+    reserved,
+    available: roundMoney((totals?.balance || 0) - reserved),
+  };
+}
+
+// Withdrawals and payouts read a tutor's available balance and then write
+// against it, so two at once could both pass the same check. They run one
+// at a time per tutor under this lock, which expires by itself if a request
+// dies while holding it.
+const BALANCE_LOCK_MS = 30 * 1000;
+
+async function withBalanceLock(tutorId, work) {
+  const _id = `balance:${tutorId}`;
+  const token = new ObjectId();
+  const now = new Date();
+
+  try {
+    await locksCollection.updateOne(
+      { _id, lockedUntil: { $lte: now } },
+      {
+        $set: { token, lockedUntil: new Date(now.getTime() + BALANCE_LOCK_MS) },
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    // The lock is held - the upsert ran into its document
+    if (error.code !== 11000) throw error;
+    return {
+      success: false,
+      status: 409,
+      error:
+        "Another balance change for this tutor is in progress, please retry",
+      code: "BALANCE_BUSY",
+    };
+  }
+
+  try {
+    return await work();
+  } finally {
+    await locksCollection.deleteOne({ _id, token });
+  }
+}
+
+// GET - My balance and ledger (Tutor only)
+app.get(
+  "/api/tutor/balance",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const { page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { tutorId: tutor._id };
+
+      const entries = await ledgerEntriesCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await ledgerEntriesCollection.countDocuments(filter);
+
+      res.send({
+        success: true,
+        summary: await getTutorLedgerSummary(tutor._id),
+        data: entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching tutor balance:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Tutors the platform owes money to (Admin only)
+app.get(
+  "/api/admin/balances",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [result] = await ledgerEntriesCollection
+        .aggregate([
+          { $group: { _id: "$tutorId", balance: { $sum: "$net" } } },
+          { $match: { balance: { $gt: 0 } } },
+          {
+            $facet: {
+              totals: [
+                {
+                  $group: {
+                    _id: null,
+                    count: { $sum: 1 },
+                    outstanding: { $sum: "$balance" },
+                  },
+                },
+              ],
+              balances: [
+                { $sort: { balance: -1 } },
+                { $skip: skip },
+                { $limit: parseInt(limit) },
+                {
+                  $lookup: {
+                    from: "users",
+                    localField: "_id",
+                    foreignField: "_id",
+                    as: "tutor",
+                  },
+                },
+                {
+                  $project: {
+                    _id: 0,
+                    tutorId: "$_id",
+                    balance: { $round: ["$balance", 2] },
+                    tutorName: { $arrayElemAt: ["$tutor.name", 0] },
+                    tutorEmail: { $arrayElemAt: ["$tutor.email", 0] },
+                  },
+                },
+              ],
+            },
+          },
+        ])
+        .toArray();
+
+      const total = result.totals[0]?.count || 0;
+
+      res.send({
+        success: true,
+        data: result.balances,
+        summary: {
+          totalOutstanding: roundMoney(result.totals[0]?.outstanding || 0),
+        },
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching balances:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// POST - Record a payout to a tutor (Admin only)
+app.post(
+  "/api/admin/payouts",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { tutorId, amount, method, reference, note } = req.body || {};
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      if (!ObjectId.isValid(tutorId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid tutor ID",
+        });
+      }
+
+      const payoutAmount = roundMoney(Number(amount));
+      if (!(payoutAmount > 0)) {
+        return res.status(400).send({
+          success: false,
+          error: "Payout amount must be greater than 0",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({
+        _id: new ObjectId(tutorId),
+        role: "tutor",
+      });
+
+      if (!tutor) {
+        return res.status(404).send({
+          success: false,
+          error: "Tutor not found",
+        });
+      }
+
+      const admin = await usersCollection.findOne({ email });
+      const { status, ...result } = await withBalanceLock(
+        tutor._id,
+        async () => {
+          // Money reserved by open withdrawal requests isn't available
+          const { available } = await getTutorLedgerSummary(tutor._id);
+          if (payoutAmount > available) {
+            return {
+              success: false,
+              status: 400,
+              error: `Payout exceeds the tutor's available balance of ${available}`,
+              code: "INSUFFICIENT_BALANCE",
+            };
+          }
+
+          const payout = await recordPayout({
+            tutorId: tutor._id,
+            amount: payoutAmount,
+            method: method || "manual",
+            reference,
+            note,
+            paidBy: admin._id,
+          });
+          return { success: true, payout };
+        },
+      );
+
+      if (!result.success) {
+        return res.status(status).send(result);
+      }
+
+      console.log(`✅ Payout recorded for tutor: ${tutorId}`);
+      res.status(201).send({
+        success: true,
+        message: "Payout recorded",
+        data: result.payout,
+      });
+    } catch (error) {
+      console.error("Error recording payout:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Payout history (Admin only)
+app.get(
+  "/api/admin/payouts",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { tutorId, page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = {};
+      if (tutorId && ObjectId.isValid(tutorId)) {
+        filter.tutorId = new ObjectId(tutorId);
+      }
+
+      const payouts = await payoutsCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await payoutsCollection.countDocuments(filter);
+
+      res.send({
+        success: true,
+        data: payouts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching payouts:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Commission rates (Admin only)
+app.get(
+  "/api/admin/settings/commission",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      res.send({
+        success: true,
+        data: await getCommissionSettings(),
+      });
+    } catch (error) {
+      console.error("Error fetching commission settings:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PUT - Update commission rates (Admin only). Applies to future payments;
+// existing ledger entries keep the rate they were split with.
+app.put(
+  "/api/admin/settings/commission",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { settings, error } = validateCommissionSettings(req.body || {});
+      if (error) {
+        return res.status(400).send({
+          success: false,
+          error,
+        });
+      }
+
+      await settingsCollection.updateOne(
+        { _id: "commission" },
+        { $set: { ...settings, updatedAt: new Date() } },
+        { upsert: true },
+      );
+
+      res.send({
+        success: true,
+        message: "Commission rates updated",
+        data: await getCommissionSettings(),
+      });
+    } catch (error) {
+      console.error("Error updating commission settings:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Withdrawal APIs =============
+// =============================================
+// =============================================
+
+const PAYOUT_METHOD_TYPES = ["bank", "bkash", "nagad"];
+
+// Bangladeshi mobile wallet numbers: 01XXXXXXXXX
+const MOBILE_WALLET_NUMBER = /^01[3-9]\d{8}$/;
+
+// Withdrawal states and who may move them:
+//   pending  -> approved (admin), rejected (admin), cancelled (tutor)
+//   approved -> paid (admin), rejected (admin)
+const WITHDRAWAL_TRANSITIONS = {
+  pending: { approved: ["admin"], rejected: ["admin"], cancelled: ["tutor"] },
+  approved: { paid: ["admin"], rejected: ["admin"] },
+  paid: {},
+  rejected: {},
+  cancelled: {},
+};
+
+// Requests that still hold their amount out of the tutor's balance
+const OPEN_WITHDRAWAL_STATUSES = ["pending", "approved"];
+
+// Validate a payout method from the request body. Returns { method } or
+// { error }.
+function buildPayoutMethod(body) {
+  const { type, label, accountName, accountNumber, bankName, branchName } =
+    body;
+
+  if (!PAYOUT_METHOD_TYPES.includes(type)) {
+    return {
+      error: `Type must be one of: ${PAYOUT_METHOD_TYPES.join(", ")}`,
+    };
+  }
+
+  if (!accountName?.trim() || !accountNumber?.trim()) {
+    return { error: "Account name and number are required" };
+  }
+
+  const number = accountNumber.replace(/[\s-]/g, "");
+
+  if (type === "bank") {
+    if (!bankName?.trim() || !/^\d{6,20}$/.test(number)) {
+      return { error: "Bank accounts need a bank name and a valid number" };
+    }
+  } else if (!MOBILE_WALLET_NUMBER.test(number)) {
+    return { error: `Enter a valid ${type} number (01XXXXXXXXX)` };
+  }
+
+  return {
+    method: {
+      _id: new ObjectId(),
+      type,
+      label: label?.trim() || (type === "bank" ? bankName.trim() : type),
+      accountName: accountName.trim(),
+      accountNumber: number,
+      bankName: type === "bank" ? bankName.trim() : null,
+      branchName: type === "bank" ? branchName?.trim() || null : null,
+      isDefault: false,
+      createdAt: new Date(),
+    },
+  };
+}
+
+// Move a withdrawal request to a new state and append the change to its
+// history. Conditional on the status we read, like transitionTuition.
+async function transitionWithdrawal(
+  request,
+  to,
+  { role, actorId, note = "", set = {} },
+) {
+  const from = request.status;
+
+  if (!WITHDRAWAL_TRANSITIONS[from]?.[to]?.includes(role)) {
+    return {
+      success: false,
+      error: `A ${role} cannot move a ${from} withdrawal to ${to}`,
+      code: "INVALID_TRANSITION",
+    };
+  }
+
+  const now = new Date();
+  const result = await withdrawalRequestsCollection.updateOne(
+    { _id: request._id, status: from },
+    {
+      $set: { ...set, status: to, updatedAt: now },
+      $push: { history: { from, to, role, actorId, note, at: now } },
+    },
+  );
+
+  if (result.modifiedCount === 0) {
+    return {
+      success: false,
+      error: "The withdrawal changed in the meantime, please retry",
+      code: "STATUS_CONFLICT",
+    };
+  }
+
+  return { success: true, from, to };
+}
+
+// Pay an approved withdrawal, under the tutor's balance lock. Refunds may
+// have lowered the balance since it was requested, so it is checked again.
+// The payout is recorded before the request is marked paid: if anything
+// fails in between the request stays approved, and paying it again finishes
+// the same payout.
+async function payWithdrawal(requestId, { adminId, reference, note }) {
+  const request = await withdrawalRequestsCollection.findOne({
+    _id: requestId,
+  });
+  if (!WITHDRAWAL_TRANSITIONS[request.status]?.paid?.includes("admin")) {
+    return {
+      success: false,
+      error: `An admin cannot move a ${request.status} withdrawal to paid`,
+      code: "INVALID_TRANSITION",
+    };
+  }
+
+  const started = await payoutsCollection.findOne({ withdrawalId: requestId });
+  if (!started) {
+    // The request's own amount is in `reserved`, so this only goes below 0
+    // when the balance no longer covers every open request
+    const { available } = await getTutorLedgerSummary(request.tutorId);
+    if (available < 0) {
+      return {
+        success: false,
+        error: `The tutor's balance is ${-available} short of covering this withdrawal`,
+        code: "INSUFFICIENT_BALANCE",
+      };
+    }
+  }
+
+  const payout = await recordPayout({
+    tutorId: request.tutorId,
+    amount: request.amount,
+    method: request.payoutMethod.type,
+    reference,
+    note,
+    paidBy: adminId,
+    withdrawalId: request._id,
+  });
+
+  return transitionWithdrawal(request, "paid", {
+    role: "admin",
+    actorId: adminId,
+    note,
+    set: { reviewedBy: adminId, reference, payoutId: payout._id },
+  });
+}
+
+// GET - My payout methods (Tutor only)
+app.get(
+  "/api/tutor/payout-methods",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const tutor = await usersCollection.findOne(
+        { email },
+        { projection: { payoutMethods: 1 } },
+      );
+
+      res.send({
+        success: true,
+        data: tutor.payoutMethods || [],
+      });
+    } catch (error) {
+      console.error("Error fetching payout methods:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// POST - Add a payout method (Tutor only). The first one becomes the default.
+app.post(
+  "/api/tutor/payout-methods",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const { method, error } = buildPayoutMethod(req.body);
+      if (error) {
+        return res.status(400).send({
+          success: false,
+          error,
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const methods = tutor.payoutMethods || [];
+
+      if (
+        methods.some(
+          (m) =>
+            m.type === method.type && m.accountNumber === method.accountNumber,
+        )
+      ) {
+        return res.status(400).send({
+          success: false,
+          error: "This payout method is already saved",
+        });
+      }
+
+      method.isDefault = methods.length === 0 || req.body.isDefault === true;
+
+      // Only one default at a time
+      if (method.isDefault && methods.length > 0) {
+        await usersCollection.updateOne(
+          { _id: tutor._id },
+          { $set: { "payoutMethods.$[].isDefault": false } },
+        );
+      }
+
+      await usersCollection.updateOne(
+        { _id: tutor._id },
+        {
+          $push: { payoutMethods: method },
+          $set: { updatedAt: new Date() },
+        },
+      );
+
+      res.status(201).send({
+        success: true,
+        message: "Payout method added",
+        data: method,
+      });
+    } catch (error) {
+      console.error("Error adding payout method:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Make a payout method the default (Tutor only)
+app.patch(
+  "/api/tutor/payout-methods/:methodId/default",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { methodId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(methodId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid payout method ID",
+        });
+      }
+
+      const result = await usersCollection.updateOne(
+        { email, "payoutMethods._id": new ObjectId(methodId) },
+        {
+          $set: {
+            "payoutMethods.$[].isDefault": false,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).send({
+          success: false,
+          error: "Payout method not found",
+        });
+      }
+
+      await usersCollection.updateOne(
+        { email, "payoutMethods._id": new ObjectId(methodId) },
+        { $set: { "payoutMethods.$.isDefault": true } },
+      );
+
+      res.send({
+        success: true,
+        message: "Default payout method updated",
+      });
+    } catch (error) {
+      console.error("Error updating payout method:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// DELETE - Remove a payout method (Tutor only)
+app.delete(
+  "/api/tutor/payout-methods/:methodId",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { methodId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(methodId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid payout method ID",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const method = tutor.payoutMethods?.find((m) =>
+        m._id.equals(new ObjectId(methodId)),
+      );
+
+      if (!method) {
+        return res.status(404).send({
+          success: false,
+          error: "Payout method not found",
+        });
+      }
+
+      // Open requests keep a snapshot, but don't pull the rug from under them
+      const openRequest = await withdrawalRequestsCollection.findOne({
+        tutorId: tutor._id,
+        "payoutMethod._id": method._id,
+        status: { $in: OPEN_WITHDRAWAL_STATUSES },
+      });
+
+      if (openRequest) {
+        return res.status(400).send({
+          success: false,
+          error: "This method is used by an open withdrawal request",
+        });
+      }
+
+      await usersCollection.updateOne(
+        { _id: tutor._id },
+        {
+          $pull: { payoutMethods: { _id: method._id } },
+          $set: { updatedAt: new Date() },
+        },
+      );
+
+      // Promote another method if the default was removed
+      if (method.isDefault) {
+        const next = tutor.payoutMethods.find((m) => !m._id.equals(method._id));
+        if (next) {
+          await usersCollection.updateOne(
+            { _id: tutor._id, "payoutMethods._id": next._id },
+            { $set: { "payoutMethods.$.isDefault": true } },
+          );
+        }
+      }
+
+      res.send({
+        success: true,
+        message: "Payout method removed",
+      });
+    } catch (error) {
+      console.error("Error removing payout method:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// POST - Request a withdrawal (Tutor only)
+app.post(
+  "/api/tutor/withdrawals",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { amount, methodId } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const withdrawAmount = roundMoney(Number(amount));
+      if (!(withdrawAmount > 0)) {
+        return res.status(400).send({
+          success: false,
+          error: "Withdrawal amount must be greater than 0",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const methods = tutor.payoutMethods || [];
+      const payoutMethod = methodId
+        ? methods.find((m) => m._id.toString() === methodId)
+        : methods.find((m) => m.isDefault);
+
+      if (!payoutMethod) {
+        return res.status(400).send({
+          success: false,
+          error: "Add a payout method before requesting a withdrawal",
+          code: "NO_PAYOUT_METHOD",
+        });
+      }
+
+      const newRequest = {
+        tutorId: tutor._id,
+        tutorName: tutor.name,
+        tutorEmail: tutor.email,
+        amount: withdrawAmount,
+        currency: "bdt",
+        payoutMethod, // snapshot - later edits don't change where this goes
+        status: "pending",
+        history: [
+          {
+            from: null,
+            to: "pending",
+            role: "tutor",
+            actorId: tutor._id,
+            note: "",
+            at: new Date(),
+          },
+        ],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      // The new request reserves its amount, so the check and the insert
+      // must not interleave with another withdrawal or payout
+      const { status, ...result } = await withBalanceLock(
+        tutor._id,
+        async () => {
+          const { available } = await getTutorLedgerSummary(tutor._id);
+          if (withdrawAmount > available) {
+            return {
+              success: false,
+              status: 400,
+              error: `You can withdraw at most ${available}`,
+              code: "INSUFFICIENT_BALANCE",
+            };
+          }
+
+          const inserted =
+            await withdrawalRequestsCollection.insertOne(newRequest);
+          return { success: true, insertedId: inserted.insertedId };
+        },
+      );
+
+      if (!result.success) {
+        return res.status(status).send(result);
+      }
+
+      console.log(`✅ Withdrawal requested by tutor: ${email}`);
+      res.status(201).send({
+        success: true,
+        message: "Withdrawal request submitted",
+        data: { ...newRequest, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error requesting withdrawal:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - My withdrawal requests (Tutor only)
+app.get(
+  "/api/tutor/withdrawals",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const { page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { tutorId: tutor._id };
+
+      const requests = await withdrawalRequestsCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await withdrawalRequestsCollection.countDocuments(filter);
+
+      res.send({
+        success: true,
+        summary: await getTutorLedgerSummary(tutor._id),
+        data: requests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching withdrawals:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Cancel my pending withdrawal (Tutor only)
+app.patch(
+  "/api/tutor/withdrawals/:requestId/cancel",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["tutor"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { requestId } = req.params;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+          code: "UNAUTHORIZED_ACCESS",
+        });
+      }
+
+      if (!ObjectId.isValid(requestId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid request ID",
+        });
+      }
+
+      const tutor = await usersCollection.findOne({ email });
+      const request = await withdrawalRequestsCollection.findOne({
+        _id: new ObjectId(requestId),
+        tutorId: tutor._id,
+      });
+
+      if (!request) {
+        return res.status(404).send({
+          success: false,
+          error: "Withdrawal request not found",
+        });
+      }
+
+      const transition = await transitionWithdrawal(request, "cancelled", {
+        role: "tutor",
+        actorId: tutor._id,
+      });
+
+      if (!transition.success) {
+        return res.status(400).send(transition);
+      }
+
+      res.send({
+        success: true,
+        message: "Withdrawal request cancelled",
+      });
+    } catch (error) {
+      console.error("Error cancelling withdrawal:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET - Withdrawal queue (Admin only)
+app.get(
+  "/api/admin/withdrawals",
+  ensureDBConnection,
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const { status = "pending", page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = {};
+      if (status && status !== "all") filter.status = status;
+
+      const requests = await withdrawalRequestsCollection
+        .find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray();
+
+      const total = await withdrawalRequestsCollection.countDocuments(filter);
+
+      res.send({
+        success: true,
+        data: requests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching withdrawals:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PATCH - Approve / mark paid / reject a withdrawal (Admin only)
+app.patch(
+  "/api/admin/withdrawals/:requestId/:action",
+  ensureDBConnection, // action = "approve", "pay" or "reject"
+  verifyToken,
+  verifyRole(["admin"]),
+  async (req, res) => {
+    try {
+      const email = req.query.email;
+      const decoded_email = req.decoded_user?.email;
+      const { requestId, action } = req.params;
+      const { reference, reason, note } = req.body;
+
+      if (email !== decoded_email) {
+        return res.status(401).send({
+          success: false,
+          error: "Forbidden access",
+        });
+      }
+
+      const targets = { approve: "approved", pay: "paid", reject: "rejected" };
+      if (!targets[action]) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid action",
+        });
+      }
+
+      if (!ObjectId.isValid(requestId)) {
+        return res.status(400).send({
+          success: false,
+          error: "Invalid request ID",
+        });
+      }
+
+      if (action === "pay" && !reference?.trim()) {
+        return res.status(400).send({
+          success: false,
+          error: "A transaction reference is required to mark it paid",
+        });
+      }
+
+      if (action === "reject" && !reason?.trim()) {
+        return res.status(400).send({
+          success: false,
+          error: "A reason is required when rejecting",
+        });
+      }
+
+      const admin = await usersCollection.findOne({ email });
+      const request = await withdrawalRequestsCollection.findOne({
+        _id: new ObjectId(requestId),
+      });
+
+      if (!request) {
+        return res.status(404).send({
+          success: false,
+          error: "Withdrawal request not found",
+        });
+      }
+
+      // Under the balance lock, so a rejection can't land while the request
+      // is being paid. Paying out moves the money off the ledger balance.
+      const { status, ...transition } = await withBalanceLock(
+        request.tutorId,
+        () =>
+          action === "pay"
+            ? payWithdrawal(request._id, {
+                adminId: admin._id,
+                reference: reference.trim(),
+                note: note?.trim() || "",
+              })
+            : transitionWithdrawal(request, targets[action], {
+                role: "admin",
+                actorId: admin._id,
+                note: (action === "reject" ? reason : note)?.trim() || "",
+                set:
+                  action === "reject"
+                    ? { reviewedBy: admin._id, rejectionReason: reason.trim() }
+                    : { reviewedBy: admin._id },
+              }),
+      );
+
+      if (!transition.success) {
+        return res.status(status || 400).send(transition);
+      }
+
+      if (action !== "pay") {
+        await createNotification({
+          userId: request.tutorId,
+          type: `withdrawal_${targets[action]}`,
+          title:
+            action === "approve"
+              ? "Withdrawal approved"
+              : "Withdrawal rejected",
+          message:
+            action === "approve"
+              ? `Your withdrawal of ${request.amount} was approved and will be paid shortly`
+              : `Your withdrawal of ${request.amount} was rejected: ${reason.trim()}`,
+          data: { withdrawalId: request._id },
+        });
+      }
+
+      console.log(
+        `✅ Withdrawal ${requestId}: ${transition.from} -> ${transition.to}`,
+      );
+      res.send({
+        success: true,
+        message: `Withdrawal ${targets[action]}`,
+      });
+    } catch (error) {
+      console.error("Error reviewing withdrawal:", error);
+      res.status(500).send({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ============= Background Jobs =============
+// =============================================
+// =============================================
+
+// Move active posts past their application deadline to "expired" and close
+// their pending applications
+async function expireOverdueTuitions() {
+  const now = new Date();
+  const overdue = await tuitionsCollection
+    .find(
+      { status: "active", applicationDeadline: { $ne: null, $lt: now } },
+      { projection: { studentId: 1, title: 1, tutorIds: 1 } },
+    )
+    .toArray();
+
+  for (const tuition of overdue) {
+    // A partly filled post goes ahead with the tutors it already hired
+    const hasTutors = tuition.tutorIds?.length > 0;
+
+    // Conditional on status so a concurrent extension wins
+    const transition = await transitionTuition(
+      tuitionsCollection,
+      { ...tuition, status: "active" },
+      hasTutors ? "ongoing" : "expired",
+      {
+        role: "system",
+        reason: "Application deadline passed",
+        set: hasTutors ? {} : { expiredAt: now },
+      },
+    );
+    if (!transition.success) continue;
+
+    const pendingApplications = await applicationsCollection
+      .find(
+        { tuitionPostId: tuition._id, status: "pending" },
+        { projection: { tutorId: 1 } },
+      )
+      .toArray();
+
+    await closePendingApplications(tuition._id, "deadline_passed");
+
+    if (!hasTutors) {
+      await createNotification({
+        userId: tuition.studentId,
+        type: "tuition_expired",
+        title: "Tuition post expired",
+        message: `"${tuition.title}" passed its application deadline. Extend the deadline to reopen it.`,
+        data: { tuitionId: tuition._id },
+      });
+    }
+
+    for (const application of pendingApplications) {
+      await createNotification({
+        userId: application.tutorId,
+        type: "application_closed",
+        title: "Application closed",
+        message: `"${tuition.title}" reached its deadline without a hire`,
+        data: { tuitionId: tuition._id, applicationId: application._id },
+      });
+    }
+  }
+
+  if (overdue.length > 0) {
+    console.log(`⏰ Expired ${overdue.length} overdue tuition post(s)`);
+  }
+}
+
+// Bill every hired tutor whose next billing date has arrived. The unique
+// (applicationId, periodStart) index stops a period being billed twice.
+async function generateMonthlyInvoices() {
+  const now = new Date();
+  const dueApplications = await applicationsCollection
+    .find({ status: "approved", nextBillingDate: { $ne: null, $lte: now } })
+    .toArray();
+
+  let created = 0;
+  for (const application of dueApplications) {
+    const tuition = await tuitionsCollection.findOne({
+      _id: application.tuitionPostId,
+    });
+
+    // Completed or cancelled tuitions stop billing
+    if (!tuition || !["active", "ongoing"].includes(tuition.status)) {
+      await applicationsCollection.updateOne(
+        { _id: application._id },
+        { $set: { nextBillingDate: null } },
+      );
+      continue;
+    }
+
+    const period = billingPeriod(application.nextBillingDate);
+    const invoice = {
+      applicationId: application._id,
+      tuitionId: tuition._id,
+      studentId: tuition.studentId,
+      tutorId: application.tutorId,
+      tuitionTitle: tuition.title,
+      tutorName: application.tutorName,
+      amount: application.expectedSalary,
+      currency: "bdt",
+      ...period,
+      status: "open",
+      reminders: [],
+      paymentAttempts: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    let inserted = true;
+    try {
+      const result = await invoicesCollection.insertOne(invoice);
+      invoice._id = result.insertedId;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      inserted = false; // another run billed this period already
+    }
+
+    await applicationsCollection.updateOne(
+      { _id: application._id },
+      { $max: { nextBillingDate: period.periodEnd } },
+    );
+
+    if (!inserted) continue;
+    created++;
+
+    await createNotification({
+      userId: invoice.studentId,
+      type: "invoice_created",
+      title: "New monthly invoice",
+      message: `Your ${invoice.amount} invoice for "${invoice.tuitionTitle}" is due on ${period.dueDate.toDateString()}`,
+      data: { tuitionId: invoice.tuitionId, invoiceId: invoice._id },
+    });
+
+    const student = await usersCollection.findOne({ _id: invoice.studentId });
+    await sendEmail(student, "invoiceCreated", { invoice });
+  }
+
+  if (created > 0) {
+    console.log(`🧾 Created ${created} monthly invoice(s)`);
+  }
+}
+
+// Remind students shortly before an invoice is due, and flag it overdue once
+// the due date passes. Each reminder goes out once per invoice.
+async function sendInvoiceReminders() {
+  const now = new Date();
+
+  const dueSoon = await invoicesCollection
+    .find({
+      status: "open",
+      dueDate: { $gt: now, $lte: addDays(now, INVOICE_REMINDER_DAYS) },
+      "reminders.type": { $ne: "due_soon" },
+    })
+    .toArray();
+
+  for (const invoice of dueSoon) {
+    const result = await invoicesCollection.updateOne(
+      { _id: invoice._id, "reminders.type": { $ne: "due_soon" } },
+      { $push: { reminders: { type: "due_soon", sentAt: now } } },
+    );
+    if (result.modifiedCount === 0) continue;
+
+    await createNotification({
+      userId: invoice.studentId,
+      type: "invoice_due_soon",
+      title: "Invoice due soon",
+      message: `Your invoice for "${invoice.tuitionTitle}" is due on ${invoice.dueDate.toDateString()}`,
+      data: { tuitionId: invoice.tuitionId, invoiceId: invoice._id },
+    });
+
+    const student = await usersCollection.findOne({ _id: invoice.studentId });
+    await sendEmail(student, "invoiceReminder", { invoice });
+  }
+
+  const overdue = await invoicesCollection
+    .find({ status: "open", dueDate: { $lte: now } })
+    .toArray();
+
+  for (const invoice of overdue) {
+    // Conditional on status so a payment landing meanwhile wins
+    const result = await invoicesCollection.updateOne(
+      { _id: invoice._id, status: "open" },
+      {
+        $set: { status: "overdue", overdueAt: now, updatedAt: now },
+        $push: { reminders: { type: "overdue", sentAt: now } },
+      },
+    );
+    if (result.modifiedCount === 0) continue;
+
+    await createNotification({
+      userId: invoice.studentId,
+      type: "invoice_overdue",
+      title: "Invoice overdue",
+      message: `Your invoice for "${invoice.tuitionTitle}" is overdue`,
+      data: { tuitionId: invoice.tuitionId, invoiceId: invoice._id },
+    });
+
+    await createNotification({
+      userId: invoice.tutorId,
+      type: "invoice_overdue",
+      title: "Student payment overdue",
+      message: `This month's fee for "${invoice.tuitionTitle}" hasn't been paid yet`,
+      data: { tuitionId: invoice.tuitionId, invoiceId: invoice._id },
+    });
+
+    const student = await usersCollection.findOne({ _id: invoice.studentId });
+    await sendEmail(student, "invoiceOverdue", { invoice });
+  }
+
+  if (overdue.length > 0) {
+    console.log(`⏰ Checked ${overdue.length} overdue invoice(s)`);
+  }
+}
+
+// Mark pending invitations past their expiry as expired. Also run for a
+// single user or post before reading them, so nobody sees a stale "pending".
+async function expireInvitations(filter = {}) {
+  const result = await invitationsCollection.updateMany(
+    { ...filter, status: "pending", expiresAt: { $lte: new Date() } },
+    { $set: { status: "expired", updatedAt: new Date() } },
+  );
+
+  if (result.modifiedCount > 0 && Object.keys(filter).length === 0) {
+    console.log(`⏰ Expired ${result.modifiedCount} invitation(s)`);
+  }
+}
+
+// Mark trial proposals whose times have all passed as expired. Also run for
+// a single application before answering it.
+async function expireTrialProposals(filter = {}) {
+  const now = new Date();
+  const result = await applicationsCollection.updateMany(
+    { ...filter, "trial.status": "proposed", "trial.respondBy": { $lte: now } },
+    { $set: { "trial.status": "expired", "trial.closedAt": now } },
+  );
+
+  if (result.modifiedCount > 0 && Object.keys(filter).length === 0) {
+    console.log(`⏰ Expired ${result.modifiedCount} trial proposal(s)`);
+  }
+}
+
+// Scheduled trials the student neither hired after nor declined within
+// TRIAL_DECISION_DAYS of the class ending are expired
+async function expireUndecidedTrials() {
+  const now = new Date();
+  const result = await applicationsCollection.updateMany(
+    {
+      "trial.status": "scheduled",
+      // trialEndsAt(trial), computed in the query
+      $expr: {
+        $lte: [
+          {
+            $add: [
+              "$trial.scheduledAt",
+              {
+                $multiply: [
+                  {
+                    $ifNull: ["$trial.durationMinutes", TRIAL_DEFAULT_MINUTES],
+                  },
+                  60 * 1000,
+                ],
+              },
+            ],
+          },
+          addDays(now, -TRIAL_DECISION_DAYS),
+        ],
+      },
+    },
+    { $set: { "trial.status": "expired", "trial.closedAt": now } },
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`⏰ Expired ${result.modifiedCount} undecided trial(s)`);
+  }
+}
+
+// Sessions the student left unanswered for SESSION_CONFIRM_DAYS count as
+// confirmed
+async function autoConfirmSessions() {
+  const now = new Date();
+  const result = await sessionsCollection.updateMany(
+    {
+      status: "pending",
+      createdAt: { $lte: addDays(now, -SESSION_CONFIRM_DAYS) },
+    },
+    {
+      $set: {
+        status: "confirmed",
+        confirmedAt: now,
+        autoConfirmed: true,
+        updatedAt: now,
+      },
+    },
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Auto-confirmed ${result.modifiedCount} session(s)`);
+  }
+}
+
+// Run every job once, then on an interval. Errors are logged, never thrown.
+function startBackgroundJobs() {
+  const jobs = [
+    expireOverdueTuitions,
+    generateMonthlyInvoices,
+    sendInvoiceReminders,
+    expireInvitations,
+    expireTrialProposals,
+    expireUndecidedTrials,
+    autoConfirmSessions,
+  ];
+
+  const runJobs = async () => {
+    for (const job of jobs) {
+      try {
+        await job();
+      } catch (error) {
+        console.error(`Background job ${job.name} failed:`, error.message);
+      }
+    }
+  };
+
+  runJobs();
+  setInterval(
+    runJobs,
+    Number(process.env.JOB_INTERVAL_MS) || 15 * 60 * 1000,
+  ).unref();
+}
+
 // -----------------Fixing DBs manually-----------------
 app.listen(port, async () => {
   console.log(`🚀 Server listening on port ${port}`);
 
   try {
     await connectToMongoDB();
+    await createIndexes();
+    startBackgroundJobs();
     console.log("✅ Server setup complete!");
   } catch (error) {
     console.error("❌ Server setup error:", error.message);
@@ -0,0 +1,81 @@
+// ledger.js
+// Tutor earnings ledger. Every completed payment is split into the
+// platform's commission and the tutor's net share, and a tutor's balance is
+// the sum of their entries:
+//
+//   earning - a payment was received       (+net)
+//   refund  - part of a payment went back  (-net, -commission)
+//   payout  - the platform paid the tutor  (-amount)
+//
+// Commission rates live in the `settings` collection (_id: "commission") and
+// are resolved most specific first: the tutor's plan, then the tuition's
+// subject (its category), then the default rate.
+
+export const LEDGER_ENTRY_TYPES = ["earning", "refund", "payout"];
+
+export const DEFAULT_COMMISSION_SETTINGS = {
+  defaultRate: Number(process.env.DEFAULT_COMMISSION_RATE) || 0.1,
+  planRates: {},
+  categoryRates: {},
+};
+
+export function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Plan and category keys are matched case-insensitively
+function normaliseKey(key) {
+  return String(key || "")
+    .trim()
+    .toLowerCase();
+}
+
+export function resolveCommissionRate(settings, { plan, category } = {}) {
+  const planRate = settings.planRates?.[normaliseKey(plan)];
+  if (planRate !== undefined) return planRate;
+
+  const categoryRate = settings.categoryRates?.[normaliseKey(category)];
+  if (categoryRate !== undefined) return categoryRate;
+
+  return settings.defaultRate;
+}
+
+export function splitAmount(gross, rate) {
+  const commission = roundMoney(gross * rate);
+  return {
+    gross: roundMoney(gross),
+    commissionRate: rate,
+    commission,
+    net: roundMoney(gross - commission),
+  };
+}
+
+function isRate(value) {
+  return typeof value === "number" && value >= 0 && value <= 1;
+}
+
+// Check an admin update. Returns { settings } ready to store, or { error }.
+export function validateCommissionSettings({
+  defaultRate,
+  planRates = {},
+  categoryRates = {},
+}) {
+  if (!isRate(defaultRate)) {
+    return { error: "defaultRate must be a number between 0 and 1" };
+  }
+
+  const normalised = { planRates: {}, categoryRates: {} };
+  for (const [field, rates] of Object.entries({ planRates, categoryRates })) {
+    if (rates === null || typeof rates !== "object" || Array.isArray(rates)) {
+      return { error: `${field} must be an object of name -> rate` };
+    }
+    for (const [key, rate] of Object.entries(rates)) {
+      if (!normaliseKey(key) || !isRate(rate)) {
+        return { error: `${field}.${key} must be a number between 0 and 1` };
+      }
+      normalised[field][normaliseKey(key)] = rate;
+    }
+  }
+
+  return { settings: { defaultRate, ...normalised } };
+}
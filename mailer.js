@@ -0,0 +1,256 @@
+// mailer.js
+// Transactional email: pluggable transports + server-side templates.
+//
+// MAIL_TRANSPORT picks the transport:
+//   smtp    - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - writes each message as JSON into MAIL_OUTBOX_DIR (dev & tests)
+//   console - logs the message (default)
+import { randomUUID } from "crypto";
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Which profile preference switches each template off
+export const EMAIL_TEMPLATE_CATEGORIES = {
+  welcome: "account",
+  tutorApproved: "account",
+  tuitionApproved: "tuitions",
+  tuitionRejected: "tuitions",
+  newApplicant: "applications",
+  tuitionInvitation: "applications",
+  hireConfirmationStudent: "applications",
+  hireConfirmationTutor: "applications",
+  paymentReceipt: "payments",
+  invoiceCreated: "payments",
+  invoiceReminder: "payments",
+  invoiceOverdue: "payments",
+};
+
+export const EMAIL_PREFERENCE_KEYS = [
+  ...new Set(Object.values(EMAIL_TEMPLATE_CATEGORIES)),
+];
+
+// Email opt-outs for a new account - everything on
+export function defaultEmailPreferences() {
+  return Object.fromEntries(EMAIL_PREFERENCE_KEYS.map((key) => [key, true]));
+}
+
+// ---------------- Transports ----------------
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+function createFileTransport() {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || "outbox";
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await mkdir(outboxDir, { recursive: true });
+      // The random part keeps two emails sent in the same millisecond apart
+      const fileName = `${Date.now()}-${randomUUID().slice(0, 8)}-${message.template || "email"}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await writeFile(filePath, JSON.stringify(message, null, 2));
+      return { filePath };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    send: async (message) => {
+      console.log(
+        `📧 [${message.template}] to ${message.to}: ${message.subject}`,
+      );
+      return {};
+    },
+  };
+}
+
+export function createMailTransport(type = process.env.MAIL_TRANSPORT) {
+  if (type === "smtp") return createSmtpTransport();
+  if (type === "file") return createFileTransport();
+  return createConsoleTransport();
+}
+
+// ---------------- Templates ----------------
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatMoney(amount, currency = "BDT") {
+  return `${Number(amount || 0).toLocaleString("en-US")} ${currency.toUpperCase()}`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toDateString() : "";
+}
+
+function appLink(pathname) {
+  return `${process.env.CLIENT_URL || "http://localhost:5173"}${pathname}`;
+}
+
+// Each template gets { user, tuition, application, payment, ... } and returns
+// a subject plus paragraphs; paragraphs are escaped for the HTML version.
+const templates = {
+  welcome: ({ user }) => ({
+    subject: "Welcome to Tutorate",
+    lines: [
+      `Hi ${user.name},`,
+      user.role === "tutor"
+        ? "Thanks for registering as a tutor. Our team will review your profile and let you know once your account is approved."
+        : "Thanks for joining Tutorate. You can now post tuition requirements and hire tutors.",
+    ],
+    link: appLink("/dashboard"),
+  }),
+
+  tutorApproved: ({ user }) => ({
+    subject: "Your tutor account has been approved",
+    lines: [
+      `Hi ${user.name},`,
+      "Good news - your tutor account is now active. You can start applying to tuition posts right away.",
+    ],
+    link: appLink("/tuitions"),
+  }),
+
+  tuitionApproved: ({ user, tuition }) => ({
+    subject: `Your tuition post "${tuition.title}" is live`,
+    lines: [
+      `Hi ${user.name},`,
+      `Your post "${tuition.title}" (${tuition.subject}, ${tuition.class}) was approved and is now visible to tutors.`,
+    ],
+    link: appLink(`/tuitions/${tuition._id}`),
+  }),
+
+  tuitionRejected: ({ user, tuition, reason }) => ({
+    subject: `Your tuition post "${tuition.title}" was not approved`,
+    lines: [
+      `Hi ${user.name},`,
+      `Your post "${tuition.title}" was not approved by our moderators.`,
+      reason
+        ? `Reason: ${reason}`
+        : "Please review the post details and submit it again.",
+    ],
+    link: appLink("/dashboard/my-tuitions"),
+  }),
+
+  newApplicant: ({ user, tuition, application }) => ({
+    subject: `New applicant for "${tuition.title}"`,
+    lines: [
+      `Hi ${user.name},`,
+      `${application.tutorName} applied to your post "${tuition.title}".`,
+      `Experience: ${application.experience} year(s) · Expected salary: ${formatMoney(application.expectedSalary, tuition.budgetType)}`,
+    ],
+    link: appLink(`/dashboard/tuitions/${tuition._id}/applications`),
+  }),
+
+  tuitionInvitation: ({ user, tuition, student, invitation }) => ({
+    subject: `${student.name} invited you to "${tuition.title}"`,
+    lines: [
+      `Hi ${user.name},`,
+      `${student.name} would like you to tutor "${tuition.title}" (${tuition.subject}, ${tuition.class}).`,
+      ...(invitation.message ? [`"${invitation.message}"`] : []),
+      `Accept or decline by ${formatDate(invitation.expiresAt)}.`,
+    ],
+    link: appLink("/dashboard/invitations"),
+  }),
+
+  hireConfirmationStudent: ({ user, tuition, application }) => ({
+    subject: `You hired ${application.tutorName}`,
+    lines: [
+      `Hi ${user.name},`,
+      `${application.tutorName} is now assigned to "${tuition.title}".`,
+      "You can message your tutor from the dashboard to arrange the first class.",
+    ],
+    link: appLink("/dashboard/my-tuitions"),
+  }),
+
+  hireConfirmationTutor: ({ user, tuition, student }) => ({
+    subject: `You've been hired for "${tuition.title}"`,
+    lines: [
+      `Hi ${user.name},`,
+      `${student.name} hired you for "${tuition.title}" (${tuition.subject}, ${tuition.class}).`,
+      `Location: ${tuition.location}${tuition.area ? `, ${tuition.area}` : ""}`,
+    ],
+    link: appLink("/dashboard/ongoing-tuitions"),
+  }),
+
+  paymentReceipt: ({ user, tuition, application, payment }) => ({
+    subject: `Payment receipt - ${tuition.title}`,
+    lines: [
+      `Hi ${user.name},`,
+      `We received your payment of ${formatMoney(payment.amount, payment.currency)} on ${formatDate(payment.createdAt)}.`,
+      `Tuition: ${tuition.title}`,
+      `Tutor: ${application.tutorName}`,
+      `Transaction ID: ${payment.transactionId}`,
+    ],
+    link: appLink("/dashboard/payments"),
+  }),
+
+  invoiceCreated: ({ user, invoice }) => ({
+    subject: `New invoice - ${invoice.tuitionTitle}`,
+    lines: [
+      `Hi ${user.name},`,
+      `Your monthly invoice for "${invoice.tuitionTitle}" (${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}) is ready.`,
+      `Amount: ${formatMoney(invoice.amount, invoice.currency)} · Due: ${formatDate(invoice.dueDate)}`,
+      `Tutor: ${invoice.tutorName}`,
+    ],
+    link: appLink(`/dashboard/invoices/${invoice._id}`),
+  }),
+
+  invoiceReminder: ({ user, invoice }) => ({
+    subject: `Invoice due soon - ${invoice.tuitionTitle}`,
+    lines: [
+      `Hi ${user.name},`,
+      `A reminder that ${formatMoney(invoice.amount, invoice.currency)} for "${invoice.tuitionTitle}" is due on ${formatDate(invoice.dueDate)}.`,
+    ],
+    link: appLink(`/dashboard/invoices/${invoice._id}`),
+  }),
+
+  invoiceOverdue: ({ user, invoice }) => ({
+    subject: `Invoice overdue - ${invoice.tuitionTitle}`,
+    lines: [
+      `Hi ${user.name},`,
+      `Your invoice of ${formatMoney(invoice.amount, invoice.currency)} for "${invoice.tuitionTitle}" was due on ${formatDate(invoice.dueDate)} and is still unpaid.`,
+      "Please pay it from your dashboard to keep your classes running.",
+    ],
+    link: appLink(`/dashboard/invoices/${invoice._id}`),
+  }),
+};
+
+export function renderEmail(templateName, context) {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, lines, link } = template(context);
+  const text = [...lines, "", link, "", "- The Tutorate team"].join("\n");
+  const html = `<div style="font-family:Arial,sans-serif;line-height:1.5">
+${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join("\n")}
+<p><a href="${escapeHtml(link)}">Open Tutorate</a></p>
+<p style="color:#888">- The Tutorate team</p>
+</div>`;
+
+  return { subject, text, html };
+}
@@ -0,0 +1,262 @@
+// matching.js
+// Scores how well a tutor fits a tuition post, out of 100, with a reason
+// for every factor so the app can show *why* something was recommended:
+//
+//   subject      30  tutor teaches the post's subject
+//   location     20  distance between their coordinates (or same area/city);
+//                    online posts always match
+//   budget       20  tutor's expected salary against the post's budget range
+//   experience   10  years of experience against the post's requirement, or
+//                    what the class level usually needs
+//   gender       10  the post's tutor gender preference
+//   availability 10  tutor's weekly slots against the post's class times
+//                    (or just the days when either side has no slots)
+//
+// Missing data (no expected salary, no availability, ...) scores half, so
+// incomplete profiles are neither hidden nor pushed to the top.
+import { distanceKm } from "./geo.js";
+import { coveredMinutes, dayKey, slotDays, totalMinutes } from "./schedule.js";
+
+export const MATCH_WEIGHTS = {
+  subject: 30,
+  location: 20,
+  budget: 20,
+  experience: 10,
+  gender: 10,
+  availability: 10,
+};
+
+const UNKNOWN = 0.5;
+
+function normalise(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function words(text) {
+  return normalise(text).split(" ").filter(Boolean);
+}
+
+// ---------------- Factors ----------------
+// Each returns { match: 0..1, reason }
+
+function subjectFactor(tutor, tuition) {
+  const wanted = normalise(tuition.subject);
+  const subjects = (tutor.subjects || []).map(normalise).filter(Boolean);
+  if (!wanted || subjects.length === 0) {
+    return { match: UNKNOWN, reason: "Tutor hasn't listed any subjects" };
+  }
+
+  if (subjects.includes(wanted)) {
+    return { match: 1, reason: `Teaches ${tuition.subject}` };
+  }
+
+  // "Higher Math" vs "Math", "Physics & Chemistry" vs "Physics"
+  const wantedWords = words(wanted);
+  const related = (tutor.subjects || []).find((subject) =>
+    words(subject).some((word) => wantedWords.includes(word)),
+  );
+  if (related) {
+    return {
+      match: 0.6,
+      reason: `Teaches ${related}, related to ${tuition.subject}`,
+    };
+  }
+
+  return { match: 0, reason: `Doesn't list ${tuition.subject}` };
+}
+
+// Full marks within NEAR_KM, nothing beyond FAR_KM, linear in between
+const NEAR_KM = 3;
+const FAR_KM = 25;
+
+function locationFactor(tutor, tuition) {
+  if (tuition.mode === "online") {
+    return { match: 1, reason: "Online tuition - location doesn't matter" };
+  }
+
+  if (tutor.geo && tuition.geo) {
+    const km = distanceKm(tutor.geo, tuition.geo);
+    const match =
+      km <= NEAR_KM ? 1 : Math.max(0, (FAR_KM - km) / (FAR_KM - NEAR_KM));
+    return { match, reason: `${km} km away` };
+  }
+
+  const tutorWords = words(tutor.location);
+  if (tutorWords.length === 0) {
+    return { match: UNKNOWN, reason: "Tutor hasn't set a location" };
+  }
+  if (tuition.area && words(tuition.area).some((w) => tutorWords.includes(w))) {
+    return { match: 1, reason: `Tutor is in ${tuition.area}` };
+  }
+  if (words(tuition.location).some((w) => tutorWords.includes(w))) {
+    return { match: 0.7, reason: `Tutor is in ${tuition.location}` };
+  }
+  return { match: 0, reason: `Tutor is in ${tutor.location}` };
+}
+
+// Asking up to this much over the maximum budget still earns some points
+const BUDGET_STRETCH = 0.25;
+
+function budgetFactor(tutor, tuition) {
+  const salary = Number(tutor.expectedSalary) || 0;
+  const min = Number(tuition.minBudget) || 0;
+  const max = Number(tuition.maxBudget) || min;
+  if (!salary) {
+    return { match: UNKNOWN, reason: "Tutor hasn't set an expected salary" };
+  }
+  if (!max) {
+    return { match: UNKNOWN, reason: "Post has no budget" };
+  }
+
+  if (salary <= max) {
+    return {
+      match: 1,
+      reason:
+        salary < min
+          ? `Expects ${salary}, below the ${min}-${max} budget`
+          : `Expects ${salary}, within the ${min}-${max} budget`,
+    };
+  }
+
+  const over = (salary - max) / max;
+  return {
+    match: Math.max(0, 1 - over / BUDGET_STRETCH),
+    reason: `Expects ${salary}, ${Math.round(over * 100)}% over the ${max} budget`,
+  };
+}
+
+// Years of experience a class level usually calls for
+export function classLevelYears(className) {
+  const text = normalise(className);
+  if (/admission|university|honours|degree|bcs|ielts/.test(text)) return 3;
+  if (/hsc|a level|alim/.test(text)) return 2;
+  if (/ssc|o level|dakhil/.test(text)) return 1;
+
+  const grade = parseInt(text.match(/\d+/)?.[0]);
+  if (grade >= 11) return 2;
+  if (grade >= 8) return 1;
+  return 0;
+}
+
+function experienceFactor(tutor, tuition) {
+  // The post's own requirement ("2 years") wins over the class level
+  const stated = parseInt(String(tuition.experience || "").match(/\d+/)?.[0]);
+  const needed = Number.isNaN(stated) ? classLevelYears(tuition.class) : stated;
+  const years = Number(tutor.experience) || 0;
+  const basis = Number.isNaN(stated) ? `for ${tuition.class}` : "required";
+
+  if (needed === 0 || years >= needed) {
+    return {
+      match: 1,
+      reason: `${years} year(s) of experience${needed ? `, ${needed} ${basis}` : ""}`,
+    };
+  }
+  return {
+    match: years / needed,
+    reason: `${years} year(s) of experience, ${needed} ${basis}`,
+  };
+}
+
+function genderFactor(tutor, tuition) {
+  const wanted = normalise(tuition.gender);
+  if (!wanted || wanted === "any") {
+    return { match: 1, reason: "No gender preference" };
+  }
+  if (!tutor.gender) {
+    return { match: UNKNOWN, reason: `Prefers a ${wanted} tutor` };
+  }
+  return normalise(tutor.gender) === wanted
+    ? { match: 1, reason: `Prefers a ${wanted} tutor` }
+    : { match: 0, reason: `Prefers a ${wanted} tutor` };
+}
+
+// Days a tutor is free: from weekly slots, or the older free-form
+// { days: [...] } / keyed-by-day ({ saturday: [...] / true }) shapes
+export function availableDays(availability) {
+  if (!availability || typeof availability !== "object") return [];
+  if (Array.isArray(availability.slots)) return slotDays(availability.slots);
+  const days = Array.isArray(availability.days)
+    ? availability.days
+    : Object.keys(availability).filter((day) => {
+        const value = availability[day];
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+      });
+  return [...new Set(days.map(dayKey).filter(Boolean))];
+}
+
+function availabilityFactor(tutor, tuition) {
+  if (tuition.schedule?.flexible) {
+    return { match: 1, reason: "Flexible schedule" };
+  }
+
+  // Both sides have weekly slots - compare the actual class times
+  const classSlots = tuition.schedule?.slots || [];
+  const freeSlots = tutor.availability?.slots || [];
+  if (classSlots.length > 0 && freeSlots.length > 0) {
+    const covered = coveredMinutes(classSlots, freeSlots);
+    const total = totalMinutes(classSlots);
+    return {
+      match: covered / total,
+      reason: `Free for ${Math.round((covered / total) * 100)}% of class time`,
+    };
+  }
+
+  const wanted = classSlots.length
+    ? slotDays(classSlots)
+    : [...new Set((tuition.schedule?.days || []).map(dayKey).filter(Boolean))];
+  const free = availableDays(tutor.availability);
+  if (wanted.length === 0) {
+    return { match: UNKNOWN, reason: "Post has no fixed days" };
+  }
+  if (free.length === 0) {
+    return { match: UNKNOWN, reason: "Tutor hasn't set availability" };
+  }
+
+  const overlap = wanted.filter((day) => free.includes(day));
+  return {
+    match: overlap.length / wanted.length,
+    reason: `Free on ${overlap.length} of ${wanted.length} class days`,
+  };
+}
+
+const FACTORS = {
+  subject: subjectFactor,
+  location: locationFactor,
+  budget: budgetFactor,
+  experience: experienceFactor,
+  gender: genderFactor,
+  availability: availabilityFactor,
+};
+
+/**
+ * Score a tutor against a tuition. Returns
+ * { score, factors: [{ factor, weight, points, reason }] } with score and
+ * points rounded to whole numbers.
+ */
+export function scoreMatch(tutor, tuition) {
+  const factors = Object.entries(FACTORS).map(([factor, evaluate]) => {
+    const { match, reason } = evaluate(tutor, tuition);
+    const weight = MATCH_WEIGHTS[factor];
+    return { factor, weight, points: Math.round(match * weight), reason };
+  });
+
+  return {
+    score: factors.reduce((sum, factor) => sum + factor.points, 0),
+    factors,
+  };
+}
+
+// Score candidates (tutors or tuitions) and rank them, best first.
+// `pair(candidate)` returns the [tutor, tuition] to compare.
+export function rankMatches(candidates, pair, { minScore = 0 } = {}) {
+  return candidates
+    .map((candidate) => ({
+      candidate,
+      match: scoreMatch(...pair(candidate)),
+    }))
+    .filter(({ match }) => match.score >= minScore)
+    .sort((a, b) => b.match.score - a.match.score);
+}
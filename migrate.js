@@ -0,0 +1,293 @@
+// migrate.js
+// One-off data migrations. Every step is idempotent, so the script can be
+// re-run safely after each deploy:
+//
+//   node migrate.js
+import { MongoClient } from "mongodb";
+import "dotenv/config";
+import { addMonths } from "./billing.js";
+import {
+  DEFAULT_COMMISSION_SETTINGS,
+  resolveCommissionRate,
+  splitAmount,
+} from "./ledger.js";
+import { resolveGeo } from "./geo.js";
+import { defaultEmailPreferences } from "./mailer.js";
+import { parseLegacySchedule } from "./schedule.js";
+
+// Tuitions used to store a single `tutorId`; multi-slot posts now keep
+// every hired tutor in `tutorIds`
+async function tutorIdToTutorIds(db) {
+  const result = await db
+    .collection("tuitions")
+    .updateMany({ tutorId: { $type: "objectId" } }, [
+      {
+        $set: {
+          tutorIds: {
+            $setUnion: [{ $ifNull: ["$tutorIds", []] }, ["$tutorId"]],
+          },
+        },
+      },
+      { $unset: "tutorId" },
+    ]);
+  return result.modifiedCount;
+}
+
+// Before the lifecycle module, a hire set the post to "completed" (really
+// the ongoing state) and deleting it set "deleted". Only legacy posts lack
+// statusHistory, so real completions are never touched.
+async function legacyTuitionStatuses(db) {
+  const tuitions = db.collection("tuitions");
+  const hired = await tuitions.updateMany(
+    { status: "completed", statusHistory: { $exists: false } },
+    { $set: { status: "ongoing", statusHistory: [] } },
+  );
+  const deleted = await tuitions.updateMany(
+    { status: "deleted" },
+    { $set: { status: "cancelled" } },
+  );
+  return hired.modifiedCount + deleted.modifiedCount;
+}
+
+// Hires made before monthly billing have no nextBillingDate. Start them on
+// the next monthly anniversary of the hire instead of back-billing the
+// months that already passed.
+async function applicationBillingSchedule(db) {
+  const applications = db.collection("applications");
+  const unscheduled = await applications
+    .find(
+      { status: "approved", nextBillingDate: { $exists: false } },
+      { projection: { hiredAt: 1, updatedAt: 1, createdAt: 1 } },
+    )
+    .toArray();
+
+  const now = new Date();
+  for (const application of unscheduled) {
+    const hiredAt =
+      application.hiredAt || application.updatedAt || application.createdAt;
+    let months = 1;
+    while (addMonths(hiredAt, months) <= now) months++;
+
+    await applications.updateOne(
+      { _id: application._id, nextBillingDate: { $exists: false } },
+      { $set: { nextBillingDate: addMonths(hiredAt, months) } },
+    );
+  }
+  return unscheduled.length;
+}
+
+// Payments made before the ledger have no earning entry. Split them with
+// today's commission rates; refunds are reversed at the same rate.
+async function ledgerFromPayments(db) {
+  const ledger = db.collection("ledgerEntries");
+  const stored = await db.collection("settings").findOne({ _id: "commission" });
+  const settings = { ...DEFAULT_COMMISSION_SETTINGS, ...stored };
+
+  const payments = await db
+    .collection("payments")
+    .find({
+      status: { $in: ["completed", "partially_refunded", "refunded"] },
+      tutorId: { $type: "objectId" },
+    })
+    .toArray();
+
+  let created = 0;
+  for (const payment of payments) {
+    if (await ledger.findOne({ entryKey: `earning:${payment._id}` })) continue;
+
+    const [tutor, tuition] = await Promise.all([
+      db.collection("users").findOne({ _id: payment.tutorId }),
+      db.collection("tuitions").findOne({ _id: payment.tuitionId }),
+    ]);
+    const rate = resolveCommissionRate(settings, {
+      plan: tutor?.plan,
+      category: tuition?.subject,
+    });
+    const base = {
+      tutorId: payment.tutorId,
+      paymentId: payment._id,
+      tuitionId: payment.tuitionId,
+      currency: payment.currency,
+      createdAt: payment.createdAt || new Date(),
+    };
+
+    await ledger.insertOne({
+      ...base,
+      entryKey: `earning:${payment._id}`,
+      type: "earning",
+      ...splitAmount(payment.amount, rate),
+    });
+    created++;
+
+    const refunded = Math.min(payment.refundedAmount || 0, payment.amount);
+    if (refunded > 0) {
+      const split = splitAmount(refunded, rate);
+      await ledger.insertOne({
+        ...base,
+        entryKey: `refund:${payment._id}:${refunded}`,
+        type: "refund",
+        gross: -split.gross,
+        commissionRate: rate,
+        commission: -split.commission,
+        net: -split.net,
+        createdAt: payment.refundedAt || base.createdAt,
+      });
+      created++;
+    }
+  }
+  return created;
+}
+
+// Tuitions and tutors from before near-me search have no coordinates. Look
+// their area/location up in the gazetteer; unknown places stay without.
+async function geoFromGazetteer(db) {
+  let updated = 0;
+  const targets = [
+    ["tuitions", {}, (doc) => [doc.area, doc.location]],
+    ["users", { role: "tutor" }, (doc) => [doc.location]],
+  ];
+
+  for (const [name, filter, placeNames] of targets) {
+    const collection = db.collection(name);
+    const docs = await collection
+      .find(
+        { ...filter, geo: { $exists: false } },
+        { projection: { area: 1, location: 1 } },
+      )
+      .toArray();
+
+    for (const doc of docs) {
+      const resolved = resolveGeo({}, ...placeNames(doc));
+      if (!resolved) continue;
+      const result = await collection.updateOne(
+        { _id: doc._id, geo: { $exists: false } },
+        { $set: resolved },
+      );
+      updated += result.modifiedCount;
+    }
+  }
+  return updated;
+}
+
+// Tuitions from before weekly slots only have free-text days/hours. Read
+// what can be read; unreadable schedules get no slots (and no conflicts).
+async function tuitionScheduleSlots(db) {
+  const tuitions = db.collection("tuitions");
+  const legacy = await tuitions
+    .find(
+      { "schedule.slots": { $exists: false } },
+      { projection: { "schedule.days": 1, "schedule.hours": 1 } },
+    )
+    .toArray();
+
+  for (const tuition of legacy) {
+    await tuitions.updateOne(
+      { _id: tuition._id, "schedule.slots": { $exists: false } },
+      {
+        $set: {
+          "schedule.slots": parseLegacySchedule(
+            tuition.schedule?.days,
+            tuition.schedule?.hours,
+          ),
+        },
+      },
+    );
+  }
+  return legacy.length;
+}
+
+// Hours like "6-8" used to be read as 18:00-08:00 and left without slots.
+// Read them again now that the end hour follows the start's pm.
+async function legacyScheduleEndHours(db) {
+  const tuitions = db.collection("tuitions");
+  const unread = await tuitions
+    .find(
+      {
+        "schedule.slots": { $size: 0 },
+        "schedule.hours": { $nin: ["", null] },
+      },
+      { projection: { "schedule.days": 1, "schedule.hours": 1 } },
+    )
+    .toArray();
+
+  let changed = 0;
+  for (const tuition of unread) {
+    const slots = parseLegacySchedule(
+      tuition.schedule.days,
+      tuition.schedule.hours,
+    );
+    if (slots.length === 0) continue;
+
+    const result = await tuitions.updateOne(
+      { _id: tuition._id, "schedule.slots": { $size: 0 } },
+      { $set: { "schedule.slots": slots } },
+    );
+    changed += result.modifiedCount;
+  }
+  return changed;
+}
+
+// Accounts from before email opt-outs get the defaults, so their next
+// Google sign-in isn't taken for a first one (which sends the welcome email)
+async function userEmailPreferences(db) {
+  const result = await db
+    .collection("users")
+    .updateMany(
+      { emailPreferences: { $exists: false } },
+      { $set: { emailPreferences: defaultEmailPreferences() } },
+    );
+  return result.modifiedCount;
+}
+
+// Sessions are numbered per day (`slot`) for the unique
+// { applicationId, date, slot } index - number older ones in logging order
+async function sessionDaySlots(db) {
+  const sessions = db.collection("sessions");
+  const unnumbered = await sessions
+    .find(
+      { slot: { $exists: false } },
+      { projection: { applicationId: 1, date: 1 } },
+    )
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  for (const session of unnumbered) {
+    const taken = await sessions.countDocuments({
+      applicationId: session.applicationId,
+      date: session.date,
+      slot: { $exists: true },
+    });
+    await sessions.updateOne(
+      { _id: session._id, slot: { $exists: false } },
+      { $set: { slot: taken } },
+    );
+  }
+  return unnumbered.length;
+}
+
+const migrations = [
+  tutorIdToTutorIds,
+  legacyTuitionStatuses,
+  applicationBillingSchedule,
+  ledgerFromPayments,
+  geoFromGazetteer,
+  tuitionScheduleSlots,
+  sessionDaySlots,
+  legacyScheduleEndHours,
+  userEmailPreferences,
+];
+
+async function runMigrations() {
+  const client = new MongoClient(process.env.MONGO_URI);
+  await client.connect();
+  const db = client.db("tutorate");
+
+  for (const migration of migrations) {
+    const changed = await migration(db);
+    console.log(`✅ ${migration.name}: ${changed} document(s) updated`);
+  }
+
+  await client.close();
+}
+
+runMigrations().catch(console.error);
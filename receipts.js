@@ -0,0 +1,101 @@
+// receipts.js
+// PDF receipts for payments. Receipt numbers are handed out in order from
+// the `counters` collection, so every payment gets exactly one number and
+// the sequence has no duplicates.
+import PDFDocument from "pdfkit";
+
+// TR-000042
+export function formatReceiptNumber(sequence) {
+  return `TR-${String(sequence).padStart(6, "0")}`;
+}
+
+function formatMoney(amount, currency = "bdt") {
+  return `${Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })} ${currency.toUpperCase()}`;
+}
+
+function row(doc, label, value, y) {
+  doc.font("Helvetica-Bold").text(label, 50, y, { width: 150 });
+  doc.font("Helvetica").text(value ?? "-", 200, y, { width: 345 });
+}
+
+/**
+ * Write a receipt for `payment` into `stream` (e.g. an Express response).
+ * Expects { payment, tuition, student, tutor } with the payment already
+ * carrying its receiptNumber.
+ */
+export function writeReceiptPdf(stream, { payment, tuition, student, tutor }) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(22).font("Helvetica-Bold").text("Tutorate", 50, 50);
+  doc
+    .fontSize(10)
+    .font("Helvetica")
+    .fillColor("#666")
+    .text("Payment receipt", 50, 78);
+
+  doc
+    .fillColor("#000")
+    .fontSize(12)
+    .font("Helvetica-Bold")
+    .text(payment.receiptNumber, 345, 50, { width: 200, align: "right" })
+    .font("Helvetica")
+    .fontSize(10)
+    .text(new Date(payment.createdAt).toDateString(), 345, 68, {
+      width: 200,
+      align: "right",
+    });
+
+  doc.moveTo(50, 105).lineTo(545, 105).strokeColor("#ddd").stroke();
+
+  doc.fontSize(11);
+  let y = 125;
+  const rows = [
+    ["Tuition", tuition?.title],
+    ["Subject", tuition ? `${tuition.subject}, ${tuition.class}` : null],
+    ["Student", student ? `${student.name} (${student.email})` : null],
+    ["Tutor", tutor ? `${tutor.name} (${tutor.email})` : null],
+    ["Payment for", payment.type === "invoice" ? "Monthly fee" : "Hiring fee"],
+    ["Transaction ID", payment.transactionId],
+    ["Status", payment.status.replace("_", " ")],
+  ];
+  for (const [label, value] of rows) {
+    row(doc, label, value, y);
+    y += 24;
+  }
+
+  doc
+    .moveTo(50, y + 6)
+    .lineTo(545, y + 6)
+    .stroke();
+  y += 22;
+
+  doc.fontSize(14);
+  row(doc, "Amount paid", formatMoney(payment.amount, payment.currency), y);
+
+  if (payment.refundedAmount > 0) {
+    y += 26;
+    doc.fontSize(11);
+    row(
+      doc,
+      "Refunded",
+      `-${formatMoney(payment.refundedAmount, payment.currency)}`,
+      y,
+    );
+  }
+
+  doc
+    .fontSize(9)
+    .fillColor("#888")
+    .text(
+      "This receipt was generated electronically and is valid without a signature.",
+      50,
+      760,
+      { width: 495, align: "center" },
+    );
+
+  doc.end();
+}
@@ -0,0 +1,73 @@
+// refunds.js
+// Refunds through Stripe for cancellations, invoice disputes and hire
+// payments that found no free slot.
+//
+// A payment's refund totals are always copied from the charge Stripe
+// returns, never added up locally. A retried resolution reuses its
+// idempotency key and gets the same refund back, and the charge.refunded
+// webhook reports the same charge, so neither can count a refund twice.
+import { roundMoney } from "./ledger.js";
+
+// What is left to refund on a payment record
+export function refundableAmount(payment) {
+  if (!payment) return 0;
+  return roundMoney(payment.amount - (payment.refundedAmount || 0));
+}
+
+/**
+ * Check the refund an admin asked for. Without one, `fallback` is used
+ * (the whole refundable amount unless given). Returns { amount } or { error }.
+ */
+export function parseRefundAmount(
+  requested,
+  refundable,
+  fallback = refundable,
+) {
+  const amount =
+    requested === undefined || requested === null
+      ? fallback
+      : Number(requested);
+
+  if (isNaN(amount) || amount < 0 || amount > refundable) {
+    return { error: `Refund amount must be between 0 and ${refundable}` };
+  }
+  return { amount: roundMoney(amount) };
+}
+
+export function refundType(amount, refundable) {
+  if (amount === 0) return "none";
+  return amount < refundable ? "partial" : "full";
+}
+
+// Payment status and refunded total from a Stripe charge
+export function chargeRefundState(charge) {
+  return {
+    status: charge.refunded
+      ? "refunded"
+      : charge.amount_refunded > 0
+        ? "partially_refunded"
+        : "completed",
+    refundedAmount: charge.amount_refunded / 100,
+  };
+}
+
+/**
+ * Refund `amount` of a payment through Stripe. The charge is expanded on the
+ * returned refund so the caller can record Stripe's totals.
+ */
+export function createRefund(
+  stripe,
+  payment,
+  amount,
+  { reason, idempotencyKey },
+) {
+  return stripe.refunds.create(
+    {
+      payment_intent: payment.transactionId,
+      amount: Math.round(amount * 100),
+      metadata: { paymentId: payment._id.toString(), reason },
+      expand: ["charge"],
+    },
+    { idempotencyKey },
+  );
+}
@@ -0,0 +1,201 @@
+// schedule.js
+// Weekly time slots for tutor availability and tuition schedules.
+//
+// A slot is { day, start, end }: day is "sat" ... "fri" (the Bangladeshi week
+// starts on Saturday) and start/end are "HH:MM" in 24-hour local time.
+// Slots are stored merged and sorted, so two slots on the same day never
+// overlap.
+
+export const DAY_KEYS = ["sat", "sun", "mon", "tue", "wed", "thu", "fri"];
+
+export const DAY_NAMES = {
+  sat: "Saturday",
+  sun: "Sunday",
+  mon: "Monday",
+  tue: "Tuesday",
+  wed: "Wednesday",
+  thu: "Thursday",
+  fri: "Friday",
+};
+
+// "Saturday", "sat", "SAT" -> "sat"
+export function dayKey(day) {
+  const key = String(day || "")
+    .trim()
+    .toLowerCase()
+    .slice(0, 3);
+  return DAY_KEYS.includes(key) ? key : null;
+}
+
+// "16:30" -> 990, or null when not a valid time ("24:00" ends a day)
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || "").trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+function toTime(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// Sort by day then start and merge touching or overlapping slots
+function mergeSlots(slots) {
+  const sorted = [...slots].sort(
+    (a, b) =>
+      DAY_KEYS.indexOf(a.day) - DAY_KEYS.indexOf(b.day) ||
+      toMinutes(a.start) - toMinutes(b.start),
+  );
+
+  const merged = [];
+  for (const slot of sorted) {
+    const last = merged[merged.length - 1];
+    if (
+      last?.day === slot.day &&
+      toMinutes(slot.start) <= toMinutes(last.end)
+    ) {
+      if (toMinutes(slot.end) > toMinutes(last.end)) last.end = slot.end;
+    } else {
+      merged.push({ ...slot });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Validate user-supplied slots. Returns { slots } (normalised, merged and
+ * sorted) or { error }.
+ */
+export function normaliseSlots(input) {
+  if (!Array.isArray(input)) {
+    return { error: "slots must be a list of { day, start, end }" };
+  }
+
+  const slots = [];
+  for (const [index, slot] of input.entries()) {
+    const day = dayKey(slot?.day);
+    const start = toMinutes(slot?.start);
+    const end = toMinutes(slot?.end);
+    if (!day || start === null || end === null || start >= end) {
+      return {
+        error: `slots[${index}] needs a day and a start before its end (HH:MM)`,
+      };
+    }
+    slots.push({ day, start: toTime(start), end: toTime(end) });
+  }
+
+  return { slots: mergeSlots(slots) };
+}
+
+// "4:30 pm", "16:30", "4" -> minutes; bare hours 1-7 are taken as pm, the
+// usual after-school tuition hours
+function parseClockTime(hours, minutes, meridiem, fallbackMeridiem) {
+  let hour = Number(hours);
+  const minute = Number(minutes || 0);
+  const suffix = (meridiem || fallbackMeridiem || "").toLowerCase();
+  if (hour > 24 || minute >= 60) return null;
+
+  if (suffix === "pm" && hour < 12) hour += 12;
+  else if (suffix === "am" && hour === 12) hour = 0;
+  else if (!suffix && hour >= 1 && hour <= 7) hour += 12;
+  return hour * 60 + minute;
+}
+
+/**
+ * Best-effort slots from the old free-text schedule: `days` (["Saturday",
+ * "Monday"]) and `hours` ("4:00 PM - 6:00 PM"). Returns [] when the hours
+ * can't be read.
+ */
+export function parseLegacySchedule(days, hours) {
+  const match =
+    /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*(?:-|–|to)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i.exec(
+      String(hours || ""),
+    );
+  if (!match || !Array.isArray(days)) return [];
+
+  let end = parseClockTime(match[4], match[5], match[6]);
+  const start = parseClockTime(match[1], match[2], match[3], match[6]);
+  // "6-8": the start was read as 6 pm, so a bare end hour before it is pm too
+  if (!match[6] && end !== null && end <= start && end + 12 * 60 > start) {
+    end += 12 * 60;
+  }
+  if (start === null || end === null || start >= end || end > 24 * 60) {
+    return [];
+  }
+
+  const slots = [...new Set(days.map(dayKey).filter(Boolean))].map((day) => ({
+    day,
+    start: toTime(start),
+    end: toTime(end),
+  }));
+  return mergeSlots(slots);
+}
+
+// Distinct days that have at least one slot, in week order
+export function slotDays(slots = []) {
+  return DAY_KEYS.filter((day) => slots.some((slot) => slot.day === day));
+}
+
+/**
+ * Pairs of overlapping slots between `slots` and `busy`. Each busy slot may
+ * carry extra fields (e.g. tuitionId) that are passed through.
+ * Returns [{ day, start, end, with }] where start/end is the overlap.
+ */
+export function findConflicts(slots = [], busy = []) {
+  const conflicts = [];
+  for (const slot of slots) {
+    for (const taken of busy) {
+      if (slot.day !== taken.day) continue;
+      const start = Math.max(toMinutes(slot.start), toMinutes(taken.start));
+      const end = Math.min(toMinutes(slot.end), toMinutes(taken.end));
+      if (start < end) {
+        conflicts.push({
+          day: slot.day,
+          start: toTime(start),
+          end: toTime(end),
+          with: taken,
+        });
+      }
+    }
+  }
+  return conflicts;
+}
+
+// `slots` minus `busy`, for the free part of a tutor's week
+export function subtractSlots(slots = [], busy = []) {
+  const free = [];
+  for (const slot of mergeSlots(slots)) {
+    let pieces = [[toMinutes(slot.start), toMinutes(slot.end)]];
+    for (const taken of busy) {
+      if (taken.day !== slot.day) continue;
+      const takenStart = toMinutes(taken.start);
+      const takenEnd = toMinutes(taken.end);
+      pieces = pieces.flatMap(([start, end]) =>
+        [
+          [start, Math.min(end, takenStart)],
+          [Math.max(start, takenEnd), end],
+        ].filter(([s, e]) => s < e),
+      );
+    }
+    for (const [start, end] of pieces) {
+      free.push({ day: slot.day, start: toTime(start), end: toTime(end) });
+    }
+  }
+  return free;
+}
+
+// Minutes of `slots` covered by `available`
+export function coveredMinutes(slots = [], available = []) {
+  return findConflicts(slots, mergeSlots(available)).reduce(
+    (sum, overlap) => sum + toMinutes(overlap.end) - toMinutes(overlap.start),
+    0,
+  );
+}
+
+export function totalMinutes(slots = []) {
+  return slots.reduce(
+    (sum, slot) => sum + toMinutes(slot.end) - toMinutes(slot.start),
+    0,
+  );
+}
@@ -0,0 +1,77 @@
+// search.js
+// Helpers for user-typed search input: regex escaping for the filters that
+// still use $regex, and highlighted fragments for $text search results.
+
+// Treat every character literally inside a RegExp / $regex
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Words of a $text query worth highlighting: quotes dropped, negated
+// ("-word") terms skipped
+export function searchTerms(search) {
+  return String(search)
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.toLowerCase());
+}
+
+const FRAGMENT_RADIUS = 60;
+
+/**
+ * For each field containing a search term, return an HTML-escaped fragment
+ * with the matches wrapped in <mark>. Long fields are cut to the text around
+ * the first match. Terms match word prefixes, so "teach" also marks
+ * "teaching" the way the text index's stemming found it.
+ */
+export function highlightFields(doc, search, fields) {
+  const terms = searchTerms(search);
+  if (terms.length === 0) return {};
+
+  // Unicode-aware word boundaries so Bangla text highlights too
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{M}\\p{N}])(?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{M}\\p{N}]*`,
+    "giu",
+  );
+
+  const highlights = {};
+  for (const field of fields) {
+    const text = doc[field];
+    if (typeof text !== "string") continue;
+
+    const first = text.search(pattern);
+    if (first === -1) continue;
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > FRAGMENT_RADIUS * 2) {
+      start = Math.max(0, first - FRAGMENT_RADIUS);
+      end = Math.min(text.length, first + FRAGMENT_RADIUS);
+    }
+
+    const fragment = text.slice(start, end);
+    let html = "";
+    let last = 0;
+    for (const match of fragment.matchAll(pattern)) {
+      html += escapeHtml(fragment.slice(last, match.index));
+      html += `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    html += escapeHtml(fragment.slice(last));
+
+    highlights[field] =
+      (start > 0 ? "…" : "") + html + (end < text.length ? "…" : "");
+  }
+
+  return highlights;
+}
@@ -0,0 +1,58 @@
+// sendStripeFixture.js
+// Signs a fixture event with STRIPE_WEBHOOK_SECRET and posts it to the local
+// webhook, so the payment flow can be tried without the Stripe CLI.
+//
+//   node sendStripeFixture.js payment_intent.succeeded <applicationId> <tuitionId> <tutorId> <studentId>
+import { readFile } from "fs/promises";
+import Stripe from "stripe";
+import "dotenv/config";
+
+async function sendFixture() {
+  const [name, applicationId, tuitionId, tutorId, studentId] =
+    process.argv.slice(2);
+
+  if (!name) {
+    console.log(
+      "Usage: node sendStripeFixture.js <fixture> [applicationId tuitionId tutorId studentId]",
+    );
+    process.exit(1);
+  }
+
+  const event = JSON.parse(
+    await readFile(new URL(`./fixtures/stripe/${name}.json`, import.meta.url)),
+  );
+
+  // Fill in metadata the same way /api/create-payment-intent does
+  if (applicationId) {
+    event.data.object.metadata = {
+      applicationId,
+      tuitionId,
+      tutorId,
+      studentId,
+    };
+  }
+
+  const payload = JSON.stringify(event);
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+
+  const url =
+    process.env.WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 3000}/api/webhooks/stripe`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Stripe-Signature": signature,
+    },
+    body: payload,
+  });
+
+  console.log(`${response.status}`, await response.text());
+}
+
+sendFixture().catch(console.error);
@@ -0,0 +1,229 @@
+// Refund, cancellation and dispute resolution paths.
+//
+// Stripe calls go to stripe-mock when STRIPE_API_HOST is set (as in
+// index.js), e.g.
+//
+//   docker run -p 12111:12111 stripe/stripe-mock
+//   STRIPE_API_HOST=localhost npm test
+//
+// and otherwise to the stateful stand-in in stripeStandIn.js. stripe-mock
+// doesn't keep state, so the checks on running totals only run against the
+// stand-in.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Stripe from "stripe";
+import {
+  chargeRefundState,
+  createRefund,
+  parseRefundAmount,
+  refundType,
+  refundableAmount,
+} from "../refunds.js";
+import { suggestedRefund, summariseAttendance } from "../attendance.js";
+import { startStripeStandIn } from "./stripeStandIn.js";
+
+const usingStripeMock = Boolean(process.env.STRIPE_API_HOST);
+const needsState = usingStripeMock && "stripe-mock doesn't keep refund totals";
+
+// A hire payment of 5000 as completeHire records it
+function hirePayment(transactionId, overrides = {}) {
+  return {
+    _id: { toString: () => "665f1c2e9b1d4a0012345678" },
+    transactionId,
+    amount: 5000,
+    currency: "bdt",
+    status: "completed",
+    ...overrides,
+  };
+}
+
+describe("refund amounts", () => {
+  test("a cancellation refunds what is left by default", () => {
+    const payment = hirePayment("pi_1", { refundedAmount: 1200 });
+    const refundable = refundableAmount(payment);
+
+    assert.equal(refundable, 3800);
+    assert.deepEqual(parseRefundAmount(undefined, refundable), {
+      amount: 3800,
+    });
+    assert.equal(refundType(3800, refundable), "full");
+  });
+
+  test("an admin can refund part of it, or nothing", () => {
+    assert.deepEqual(parseRefundAmount("1500", 5000), { amount: 1500 });
+    assert.equal(refundType(1500, 5000), "partial");
+    assert.deepEqual(parseRefundAmount(0, 5000), { amount: 0 });
+    assert.equal(refundType(0, 5000), "none");
+  });
+
+  test("amounts outside 0..refundable are rejected", () => {
+    for (const requested of [-1, 5000.01, "abc"]) {
+      assert.equal(
+        parseRefundAmount(requested, 5000).error,
+        "Refund amount must be between 0 and 5000",
+      );
+    }
+  });
+
+  test("nothing is refundable without a payment", () => {
+    assert.equal(refundableAmount(null), 0);
+    assert.ok(parseRefundAmount(100, 0).error);
+  });
+
+  test("a dispute defaults to the attendance-based suggestion", () => {
+    // 8 classes scheduled, 6 held, 2 missed
+    const attendance = summariseAttendance(
+      [
+        ...Array(5).fill({ status: "confirmed", durationMinutes: 60 }),
+        { status: "pending", durationMinutes: 60 },
+        { status: "disputed", durationMinutes: 60 },
+      ],
+      { scheduled: 8 },
+    );
+    const suggested = suggestedRefund(4000, attendance);
+
+    assert.equal(attendance.missed, 2);
+    assert.equal(suggested, 1000);
+    assert.deepEqual(
+      parseRefundAmount(undefined, 4000, Math.min(suggested, 4000)),
+      { amount: 1000 },
+    );
+    // Never more than is left on the payment
+    assert.deepEqual(
+      parseRefundAmount(undefined, 600, Math.min(suggested, 600)),
+      { amount: 600 },
+    );
+  });
+});
+
+describe("charge refund state", () => {
+  test("follows Stripe's totals", () => {
+    assert.deepEqual(
+      chargeRefundState({ amount_refunded: 0, refunded: false }),
+      { status: "completed", refundedAmount: 0 },
+    );
+    assert.deepEqual(
+      chargeRefundState({ amount_refunded: 150000, refunded: false }),
+      { status: "partially_refunded", refundedAmount: 1500 },
+    );
+    assert.deepEqual(
+      chargeRefundState({ amount_refunded: 500000, refunded: true }),
+      { status: "refunded", refundedAmount: 5000 },
+    );
+  });
+});
+
+describe("refunds through Stripe", () => {
+  let standIn;
+  let stripe;
+
+  before(async () => {
+    standIn = usingStripeMock ? null : await startStripeStandIn();
+    stripe = new Stripe("sk_test_123", {
+      host: process.env.STRIPE_API_HOST || standIn.host,
+      port: Number(process.env.STRIPE_API_PORT) || standIn?.port || 12111,
+      protocol: process.env.STRIPE_API_PROTOCOL || "http",
+      maxNetworkRetries: 0,
+    });
+  });
+
+  after(async () => {
+    await standIn?.close();
+  });
+
+  test("sends the amount in the smallest unit with the idempotency key", async () => {
+    standIn?.addPaymentIntent("pi_cancel", 500000);
+    const payment = hirePayment("pi_cancel");
+
+    const refund = await createRefund(stripe, payment, 1500, {
+      reason: "tuition_cancelled",
+      idempotencyKey: "cancellation-1",
+    });
+
+    assert.equal(refund.object, "refund");
+    assert.equal(refund.amount, 150000);
+    assert.equal(refund.metadata.reason, "tuition_cancelled");
+    assert.equal(refund.charge.object, "charge");
+
+    if (standIn) {
+      const [request] = standIn.requests.slice(-1);
+      assert.equal(request.idempotencyKey, "cancellation-1");
+      assert.equal(request.params.get("payment_intent"), "pi_cancel");
+      assert.equal(
+        request.params.get("metadata[paymentId]"),
+        "665f1c2e9b1d4a0012345678",
+      );
+    }
+  });
+
+  test(
+    "a retried resolution gets the same refund and totals back",
+    { skip: needsState },
+    async () => {
+      standIn.addPaymentIntent("pi_retry", 500000);
+      const payment = hirePayment("pi_retry");
+      const options = {
+        reason: "attendance_dispute",
+        idempotencyKey: "invoice-dispute-1",
+      };
+
+      const first = await createRefund(stripe, payment, 1000, options);
+      const retry = await createRefund(stripe, payment, 1000, options);
+
+      assert.equal(retry.id, first.id);
+      assert.deepEqual(chargeRefundState(retry.charge), {
+        status: "partially_refunded",
+        refundedAmount: 1000,
+      });
+    },
+  );
+
+  test(
+    "partial refunds add up to a full refund",
+    { skip: needsState },
+    async () => {
+      standIn.addPaymentIntent("pi_partial", 500000);
+      const payment = hirePayment("pi_partial");
+
+      const first = await createRefund(stripe, payment, 2000, {
+        reason: "tuition_cancelled",
+        idempotencyKey: "partial-1",
+      });
+      assert.equal(
+        chargeRefundState(first.charge).status,
+        "partially_refunded",
+      );
+
+      const refundable = refundableAmount({
+        ...payment,
+        ...chargeRefundState(first.charge),
+      });
+      assert.equal(refundable, 3000);
+
+      const second = await createRefund(stripe, payment, refundable, {
+        reason: "slots_filled",
+        idempotencyKey: "partial-2",
+      });
+      assert.deepEqual(chargeRefundState(second.charge), {
+        status: "refunded",
+        refundedAmount: 5000,
+      });
+    },
+  );
+
+  test(
+    "Stripe refuses to refund more than is left",
+    { skip: needsState },
+    async () => {
+      standIn.addPaymentIntent("pi_over", 100000);
+
+      await assert.rejects(
+        createRefund(stripe, hirePayment("pi_over", { amount: 1000 }), 1500, {
+          reason: "tuition_cancelled",
+          idempotencyKey: "over-1",
+        }),
+        (error) => error.type === "StripeInvalidRequestError",
+      );
+    },
+  );
+});
@@ -0,0 +1,105 @@
+// test/stripeStandIn.js
+// A local stand-in for the parts of the Stripe API the refund code uses
+// (POST /v1/refunds with an expandable charge), for running the tests
+// without stripe-mock. Unlike stripe-mock it keeps state, so refund totals
+// and idempotent retries can be checked:
+//
+//   const standIn = await startStripeStandIn();
+//   standIn.addPaymentIntent("pi_1", 500000); // amount in the smallest unit
+//   ...
+//   await standIn.close();
+import { createServer } from "http";
+
+function stripeError(res, status, code, message) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({ error: { type: "invalid_request_error", code, message } }),
+  );
+}
+
+export async function startStripeStandIn() {
+  const charges = new Map(); // payment intent id -> charge
+  const replies = new Map(); // idempotency key -> refund
+  const requests = [];
+  let nextId = 1;
+
+  const server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const params = new URLSearchParams(body);
+
+    if (req.method !== "POST" || req.url !== "/v1/refunds") {
+      return stripeError(res, 404, "resource_missing", `No route ${req.url}`);
+    }
+
+    const idempotencyKey = req.headers["idempotency-key"];
+    requests.push({ params, idempotencyKey });
+
+    if (idempotencyKey && replies.has(idempotencyKey)) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify(replies.get(idempotencyKey)));
+    }
+
+    const charge = charges.get(params.get("payment_intent"));
+    if (!charge) {
+      return stripeError(res, 404, "resource_missing", "No such payment");
+    }
+
+    const amount = Number(params.get("amount") ?? charge.amount);
+    if (amount > charge.amount - charge.amount_refunded) {
+      return stripeError(
+        res,
+        400,
+        "charge_already_refunded",
+        "Refund amount is greater than the unrefunded amount",
+      );
+    }
+
+    charge.amount_refunded += amount;
+    charge.refunded = charge.amount_refunded === charge.amount;
+
+    const metadata = {};
+    for (const [key, value] of params) {
+      const match = /^metadata\[(.+)\]$/.exec(key);
+      if (match) metadata[match[1]] = value;
+    }
+
+    const expanded = [...params]
+      .filter(([key]) => key.startsWith("expand"))
+      .map(([, value]) => value);
+    const refund = {
+      id: `re_standin_${nextId++}`,
+      object: "refund",
+      amount,
+      currency: charge.currency,
+      metadata,
+      payment_intent: charge.payment_intent,
+      status: "succeeded",
+      charge: expanded.includes("charge") ? { ...charge } : charge.id,
+    };
+
+    if (idempotencyKey) replies.set(idempotencyKey, refund);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(refund));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    host: "127.0.0.1",
+    port: server.address().port,
+    requests,
+    addPaymentIntent(id, amount, currency = "bdt") {
+      charges.set(id, {
+        id: `ch_${id}`,
+        object: "charge",
+        amount,
+        amount_refunded: 0,
+        currency,
+        payment_intent: id,
+        refunded: false,
+      });
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,130 @@
+// trial.js
+// Trial (demo) classes before hiring. Tutors say on their profile whether
+// they offer one and whether it is free or paid; the student proposes a few
+// times on a pending application and the tutor picks one:
+//
+//   proposed  - waiting for the tutor (expires once every proposed time
+//               has passed)
+//   scheduled - the tutor accepted one of the times
+//   rejected  - none of the times suit the tutor; the student may propose
+//               again
+//   cancelled - called off by either side before it was held
+//   expired   - the tutor never answered, or the student never decided
+//               within TRIAL_DECISION_DAYS after a scheduled trial
+//   hired     - the student hired the tutor afterwards
+//   declined  - the student passed on the tutor after the trial, with
+//               feedback
+//
+// The fee and length are copied from the tutor's policy when the trial is
+// proposed, so later profile edits don't change an agreed trial. The fee of
+// a paid trial is informational only: it is shown and recorded, and the
+// student pays the tutor directly. Nothing is charged through Stripe.
+
+export const TRIAL_STATUSES = [
+  "proposed",
+  "scheduled",
+  "rejected",
+  "cancelled",
+  "expired",
+  "hired",
+  "declined",
+];
+
+// Trials still in progress - a new one can't be proposed while one is open
+export const OPEN_TRIAL_STATUSES = ["proposed", "scheduled"];
+
+export const TRIAL_TYPES = ["free", "paid"];
+
+export const TRIAL_DEFAULT_MINUTES = 60;
+const TRIAL_MIN_MINUTES = 15;
+const TRIAL_MAX_MINUTES = 180;
+
+// How many times a student may propose at once, and how far ahead
+export const TRIAL_MAX_PROPOSALS = 3;
+const TRIAL_MAX_DAYS_AHEAD = 30;
+
+// Days after a scheduled trial ends for the student to hire or decline
+export const TRIAL_DECISION_DAYS =
+  Number(process.env.TRIAL_DECISION_DAYS) || 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a tutor's trial policy from the profile form:
+ * { offered, type: "free" | "paid", fee, durationMinutes }.
+ * Returns { trialPolicy } or { error }.
+ */
+export function normaliseTrialPolicy(input) {
+  if (!input || typeof input !== "object") {
+    return { error: "trialPolicy must be an object" };
+  }
+  if (input.offered === false) return { trialPolicy: { offered: false } };
+
+  const type = input.type || "free";
+  if (!TRIAL_TYPES.includes(type)) {
+    return {
+      error: `trialPolicy.type must be one of ${TRIAL_TYPES.join(", ")}`,
+    };
+  }
+
+  const fee = type === "paid" ? Number(input.fee) : 0;
+  if (type === "paid" && !(fee > 0)) {
+    return { error: "A paid trial needs a fee above 0" };
+  }
+
+  const durationMinutes =
+    input.durationMinutes === undefined
+      ? TRIAL_DEFAULT_MINUTES
+      : Number(input.durationMinutes);
+  if (
+    !Number.isInteger(durationMinutes) ||
+    durationMinutes < TRIAL_MIN_MINUTES ||
+    durationMinutes > TRIAL_MAX_MINUTES
+  ) {
+    return {
+      error: `trialPolicy.durationMinutes must be ${TRIAL_MIN_MINUTES}-${TRIAL_MAX_MINUTES}`,
+    };
+  }
+
+  return { trialPolicy: { offered: true, type, fee, durationMinutes } };
+}
+
+/**
+ * Validate the start times a student proposes (ISO date-times, e.g.
+ * "2026-11-02T16:00:00+06:00"). They must be in the future and within
+ * TRIAL_MAX_DAYS_AHEAD. Returns { times } (distinct, earliest first) or
+ * { error }.
+ */
+export function parseTrialTimes(input, now = new Date()) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "times must be a list of date-times" };
+  }
+  if (input.length > TRIAL_MAX_PROPOSALS) {
+    return { error: `Propose at most ${TRIAL_MAX_PROPOSALS} times` };
+  }
+
+  const latest = now.getTime() + TRIAL_MAX_DAYS_AHEAD * DAY_MS;
+  const times = [];
+  for (const [index, value] of input.entries()) {
+    const time = new Date(value);
+    if (typeof value !== "string" || isNaN(time)) {
+      return { error: `times[${index}] is not a valid date-time` };
+    }
+    if (time <= now || time.getTime() > latest) {
+      return {
+        error: `times[${index}] must be within the next ${TRIAL_MAX_DAYS_AHEAD} days`,
+      };
+    }
+    if (!times.some((t) => t.getTime() === time.getTime())) times.push(time);
+  }
+
+  return { times: times.sort((a, b) => a - b) };
+}
+
+// When a scheduled trial is over and the student can decide
+export function trialEndsAt(trial) {
+  return new Date(
+    trial.scheduledAt.getTime() +
+      (trial.durationMinutes || TRIAL_DEFAULT_MINUTES) * 60 * 1000,
+  );
+}
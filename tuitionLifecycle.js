@@ -0,0 +1,117 @@
+// tuitionLifecycle.js
+// Single source of truth for tuition post status changes.
+//
+// pending   - waiting for admin review
+// active    - live and accepting applications
+// ongoing   - every slot hired, classes running
+// completed - finished by the student or an admin
+// cancelled - withdrawn before or (via admin arbitration) after hiring
+// expired   - deadline passed without filling a slot; extend to reopen
+// rejected  - turned down by an admin; the student may resubmit
+
+export const TUITION_STATES = [
+  "pending",
+  "active",
+  "ongoing",
+  "completed",
+  "cancelled",
+  "expired",
+  "rejected",
+];
+
+// from -> to -> roles allowed to make that move.
+// "system" is the server itself (hires, background jobs).
+const TRANSITIONS = {
+  pending: {
+    active: ["admin"],
+    rejected: ["admin"],
+    cancelled: ["student", "admin"],
+  },
+  active: {
+    ongoing: ["system"],
+    expired: ["system"],
+    cancelled: ["student", "admin"],
+  },
+  expired: {
+    active: ["student"],
+    cancelled: ["student", "admin"],
+  },
+  ongoing: {
+    active: ["system"],
+    completed: ["student", "admin"],
+    cancelled: ["admin"],
+  },
+  rejected: {
+    pending: ["student"],
+    cancelled: ["student", "admin"],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+export function canTransition(from, to, role) {
+  return TRANSITIONS[from]?.[to]?.includes(role) || false;
+}
+
+// States the given role may move a tuition to from its current state
+export function allowedTransitions(from, role) {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+}
+
+/**
+ * Move a tuition to a new state and append the change to `statusHistory`.
+ * The update is conditional on the status we read, so two concurrent changes
+ * can't both win.
+ *
+ * Returns { success: true, from, to } or { success: false, error, code }.
+ */
+export async function transitionTuition(
+  tuitionsCollection,
+  tuition,
+  to,
+  { role, actorId = null, reason = "", set = {}, unset = {} },
+) {
+  const from = tuition.status;
+
+  if (!TUITION_STATES.includes(to)) {
+    return {
+      success: false,
+      error: `Unknown tuition status: ${to}`,
+      code: "INVALID_STATUS",
+    };
+  }
+
+  if (!canTransition(from, to, role)) {
+    return {
+      success: false,
+      error: `A ${role} cannot move a ${from} tuition to ${to}`,
+      code: "INVALID_TRANSITION",
+    };
+  }
+
+  const now = new Date();
+  const update = {
+    $set: { ...set, status: to, updatedAt: now },
+    $push: {
+      statusHistory: { from, to, role, actorId, reason, at: now },
+    },
+  };
+  if (Object.keys(unset).length > 0) update.$unset = unset;
+
+  const result = await tuitionsCollection.updateOne(
+    { _id: tuition._id, status: from },
+    update,
+  );
+
+  if (result.modifiedCount === 0) {
+    return {
+      success: false,
+      error: "The tuition status changed in the meantime, please retry",
+      code: "STATUS_CONFLICT",
+    };
+  }
+
+  return { success: true, from, to };
+}